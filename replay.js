@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Replay recorded tool calls from the audit log against a running daemon.
+ *
+ * Usage:
+ *   node replay.js <tool-calls.jsonl> [options]
+ *
+ * Options:
+ *   --url <url>         MCP endpoint (default http://localhost:$MCP_PORT/mcp)
+ *   --token <token>     Bearer token (default $MCP_TOKEN)
+ *   --session <id>      Only replay calls made by this MCP session
+ *   --from <iso time>   Skip calls recorded before this time
+ *   --to <iso time>     Skip calls recorded after this time
+ *   --bot <bot_id>      Send every call to this bot instead of the recorded one
+ *   --skip <a,b,...>    Tools to leave out (e.g. disconnect,connect_profile)
+ *   --timing            Keep the recorded gaps between calls (default: back to back)
+ *   --dry-run           Print the calls without sending them
+ *
+ * Each call is printed with its recorded outcome next to the new one, so a
+ * divergence (a call that failed for the agent but works now, or vice versa)
+ * stands out.
+ */
+
+import fs from 'fs'
+import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js'
+
+const PREVIEW_CHARS = 120
+
+function parseArgs(argv) {
+  const opts = {
+    file: null,
+    url: `http://localhost:${process.env.MCP_PORT || 3100}/mcp`,
+    token: process.env.MCP_TOKEN || null,
+    session: null,
+    from: null,
+    to: null,
+    bot: null,
+    skip: [],
+    timing: false,
+    dryRun: false
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    switch (arg) {
+      case '--url': opts.url = argv[++i]; break
+      case '--token': opts.token = argv[++i]; break
+      case '--session': opts.session = argv[++i]; break
+      case '--from': opts.from = Date.parse(argv[++i]); break
+      case '--to': opts.to = Date.parse(argv[++i]); break
+      case '--bot': opts.bot = argv[++i]; break
+      case '--skip': opts.skip = argv[++i].split(',').map(s => s.trim()); break
+      case '--timing': opts.timing = true; break
+      case '--dry-run': opts.dryRun = true; break
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`)
+        opts.file = arg
+    }
+  }
+  if (!opts.file) throw new Error('Missing audit log file')
+  return opts
+}
+
+function loadCalls(opts) {
+  return fs.readFileSync(opts.file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line)
+      } catch (e) {
+        console.error(`Skipping malformed line ${i + 1}`)
+        return null
+      }
+    })
+    .filter(call => {
+      if (!call) return false
+      const at = Date.parse(call.timestamp)
+      if (opts.session && call.session !== opts.session) return false
+      if (opts.from && at < opts.from) return false
+      if (opts.to && at > opts.to) return false
+      return !opts.skip.includes(call.tool)
+    })
+}
+
+function preview(str) {
+  const oneLine = String(str || '').replace(/\s+/g, ' ').trim()
+  return oneLine.length > PREVIEW_CHARS ? oneLine.slice(0, PREVIEW_CHARS) + '…' : oneLine
+}
+
+function resultText(result) {
+  return (result?.content || []).map(c => c.type === 'text' ? c.text : `[${c.type}]`).join('\n')
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2))
+  const calls = loadCalls(opts)
+  console.log(`${calls.length} call(s) to replay from ${opts.file}${opts.dryRun ? ' (dry run)' : ` against ${opts.url}`}\n`)
+
+  let client = null
+  if (!opts.dryRun) {
+    const headers = opts.token ? { Authorization: `Bearer ${opts.token}` } : {}
+    client = new Client({ name: 'haksnbot-replay', version: '0.1.0' })
+    await client.connect(new StreamableHTTPClientTransport(new URL(opts.url), { requestInit: { headers } }))
+  }
+
+  let diverged = 0
+  let previousAt = null
+  for (const [i, call] of calls.entries()) {
+    const at = Date.parse(call.timestamp)
+    if (opts.timing && previousAt !== null && at > previousAt) {
+      await new Promise(r => setTimeout(r, at - previousAt))
+    }
+    previousAt = at
+
+    const args = { ...call.args }
+    if (opts.bot) args.bot_id = opts.bot
+
+    console.log(`[${i + 1}/${calls.length}] ${call.tool} ${JSON.stringify(args)}`)
+    console.log(`  recorded: ${call.is_error ? 'ERROR' : 'ok'} (${call.duration_ms}ms) ${preview(call.result)}`)
+    if (opts.dryRun) continue
+
+    const started = Date.now()
+    let result
+    try {
+      result = await client.callTool({ name: call.tool, arguments: args })
+    } catch (err) {
+      result = { content: [{ type: 'text', text: err.message }], isError: true }
+    }
+    const isError = !!result.isError
+    if (isError !== call.is_error) diverged++
+    console.log(`  replayed: ${isError ? 'ERROR' : 'ok'} (${Date.now() - started}ms) ${preview(resultText(result))}${isError !== call.is_error ? '  <-- differs' : ''}`)
+  }
+
+  if (client) {
+    await client.close()
+    console.log(`\nDone. ${diverged} call(s) had a different outcome than recorded.`)
+  }
+}
+
+main().catch(err => {
+  console.error(`Replay failed: ${err.message}`)
+  process.exit(1)
+})
@@ -15,6 +15,8 @@
  */
 
 import { randomUUID } from 'node:crypto'
+import path from 'path'
+import { EventEmitter } from 'events'
 import { Server } from '@modelcontextprotocol/sdk/server/index.js'
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js'
@@ -31,6 +33,17 @@ const Vec3 = Vec3Pkg.Vec3 || Vec3Pkg
 // Import Guts (survival instincts for connection daemon)
 import { Guts } from 'haksnbot-guts'
 
+import { PhysicalLock, LOCK_PRIORITIES, cappedPriority } from './utils/physicalLock.js'
+import { ProxyTracker } from './utils/proxyTracker.js'
+import { EntityTracker } from './utils/entityTracker.js'
+import { PlayerHistory } from './utils/playerHistory.js'
+import { MetricsRegistry } from './utils/metrics.js'
+import { AuditLog } from './utils/auditLog.js'
+import { WorldMemory } from './utils/worldMemory.js'
+import { MOVEMENT_PROFILES, MOVEMENT_PROFILE_NAMES, DEFAULT_MOVEMENT_PROFILE } from './utils/movementProfiles.js'
+import { BOT_MESSAGE_LOG } from './utils/helpers.js'
+import { loadAccessConfig, roleForAuthorization, isToolAllowed } from './utils/access.js'
+
 // Import tool modules
 import * as connectionTools from './tools/connection.js'
 import * as observationTools from './tools/observation.js'
@@ -50,10 +63,45 @@ import * as economyTools from './tools/economy.js'
 import * as visionTools from './tools/vision.js'
 import * as viewerTools from './tools/viewer.js'
 import * as elytraTools from './tools/elytra.js'
+import * as eventsTools from './tools/events.js'
+import * as lockTools from './tools/lock.js'
+import * as proxyTools from './tools/proxy.js'
+import * as mapTools from './tools/map.js'
+import * as memoryTools from './tools/memory.js'
+import * as trackingTools from './tools/tracking.js'
+import * as sightTools from './tools/sight.js'
+import * as environmentTools from './tools/environment.js'
+import * as playersTools from './tools/players.js'
+import * as waypointsTools from './tools/waypoints.js'
+import * as travelTools from './tools/travel.js'
 
 const TRANSPORT = process.env.MCP_TRANSPORT || 'stdio'
 const MCP_PORT = parseInt(process.env.MCP_PORT || '3100', 10)
 
+// Bearer tokens -> roles -> allowed tools (see utils/access.js). Unset = open.
+const MCP_AUTH_FILE = process.env.MCP_AUTH_FILE
+
+// Role from MCP_AUTH_FILE that narrows the stdio client's tools. Unset = all tools.
+const MCP_ROLE = TRANSPORT === 'stdio' ? process.env.MCP_ROLE || null : null
+if (MCP_ROLE && !MCP_AUTH_FILE) {
+  throw new Error(`MCP_ROLE is "${MCP_ROLE}" but MCP_AUTH_FILE is not set, so there are no roles to apply`)
+}
+
+// JSONL record of every tool call (see utils/auditLog.js). Set to '' to disable.
+const MCP_AUDIT_LOG = process.env.MCP_AUDIT_LOG ?? path.join(path.dirname(BOT_MESSAGE_LOG), 'tool-calls.jsonl')
+
+// SQLite world memory shared by all bots (see utils/worldMemory.js). Set to '' to disable.
+const MCP_WORLD_DB = process.env.MCP_WORLD_DB ?? path.join(path.dirname(BOT_MESSAGE_LOG), 'world-memory.db')
+
+// Pathfinder profile for movement calls that don't pass one (see utils/movementProfiles.js)
+const MCP_MOVEMENT_PROFILE = process.env.MCP_MOVEMENT_PROFILE || DEFAULT_MOVEMENT_PROFILE
+if (!MOVEMENT_PROFILES[MCP_MOVEMENT_PROFILE]) {
+  throw new Error(`MCP_MOVEMENT_PROFILE: unknown profile "${MCP_MOVEMENT_PROFILE}". Profiles: ${MOVEMENT_PROFILE_NAMES.join(', ')}`)
+}
+
+// Bot addressed by tool calls that omit bot_id
+const DEFAULT_BOT_ID = 'default'
+
 // Make stdout non-blocking to prevent event loop stalls (stdio mode only).
 // Node.js blocks on process.stdout.write() when stdout is a pipe and the
 // reader (parent process) is slow.  This stalls the event loop and prevents
@@ -91,35 +139,175 @@ const toolModules = [
   economyTools,
   visionTools,
   viewerTools,
-  elytraTools
+  elytraTools,
+  eventsTools,
+  lockTools,
+  proxyTools,
+  mapTools,
+  memoryTools,
+  trackingTools,
+  sightTools,
+  environmentTools,
+  playersTools,
+  waypointsTools,
+  travelTools
 ]
 
+const TOOL_NAMES = new Set(toolModules.flatMap(m => m.tools.map(t => t.name)))
+
+// Every tool accepts an optional bot_id selecting which bot it acts on
+const BOT_ID_PROPERTY = {
+  type: 'string',
+  description: `Bot to act on (see get_connection_status). Omit for the "${DEFAULT_BOT_ID}" bot.`
+}
+
+function withBotId(tool) {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, bot_id: BOT_ID_PROPERTY }
+    }
+  }
+}
+
+// Physical tools also accept arguments controlling how they wait for the lock
+const LOCK_PROPERTIES = {
+  lock_priority: {
+    type: 'string',
+    enum: Object.keys(LOCK_PRIORITIES),
+    description: 'Priority while waiting for the bot. "survival" preempts a running lower-priority action. Default and highest allowed: normal (attack_entity: survival); pass low to yield to other calls.'
+  },
+  lock_timeout: {
+    type: 'number',
+    description: 'Seconds to wait for the bot if it is busy (default 10, 0 = don\'t wait)'
+  }
+}
+
+function withLockArgs(tool) {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, ...LOCK_PROPERTIES }
+    }
+  }
+}
+
 class MinecraftMCP {
   constructor() {
-    this.bot = null
-    this.mcData = null
-    this.chatLog = []
-    this.connectionState = 'disconnected'
-    this.connectArgs = null
-    this.lastDisconnectReason = null
-    this.reconnectAttempt = 0
-    this.lastKeepalive = null
-    this.reconnectTimer = null
-    this.watchdogTimer = null
-    this.handlers = {}
-    this.currentVillager = null
     this.xvfb = null
-    this.physicalLock = null  // Name of tool holding the physical lock, or null
-    this.guts = null
+    this.access = loadAccessConfig(MCP_AUTH_FILE)
+    if (MCP_ROLE && !this.access.roles[MCP_ROLE]) {
+      throw new Error(`MCP_ROLE: unknown role "${MCP_ROLE}". Roles in ${MCP_AUTH_FILE}: ${Object.keys(this.access.roles).join(', ')}`)
+    }
+
+    // Named bot contexts (bot_id -> context). See addBotContext().
+    this.bots = new Map()
 
     // In HTTP mode, we create a new Server per session (each client gets its own).
     // In stdio mode, we use a single server instance like before.
-    this._servers = new Map()  // sessionId -> Server (HTTP mode)
+    this._sessions = new Map()  // sessionId -> { id, server, subscriptions }
+
+    this.metrics = this._createMetrics()
+    this.audit = this._openAuditLog()
+    this.worldMemory = null  // opened in run(), see _openWorldMemory()
+
+    this.addBotContext(DEFAULT_BOT_ID)
+  }
 
-    // Register all tool handlers from modules
+  // Prometheus metrics served on /metrics in HTTP mode. Counters and
+  // histograms are updated as calls happen; gauges are read from the bot
+  // contexts at scrape time.
+  _createMetrics() {
+    const registry = new MetricsRegistry()
+    const perBot = (fn) => () => [...this.bots.values()].map(ctx => ({ labels: { bot_id: ctx.botId }, value: fn(ctx) }))
+
+    return {
+      registry,
+      toolCalls: registry.counter('mcp_tool_calls_total', 'Tool calls by tool, bot and outcome (ok or error)'),
+      toolDuration: registry.histogram('mcp_tool_call_duration_seconds', 'Tool call latency, including time waiting for the physical lock'),
+      lockWait: registry.histogram('minecraft_physical_lock_wait_seconds', 'Time physical tools waited for the physical action lock', [0, 0.1, 0.5, 1, 2.5, 5, 10, 30]),
+      lockRejections: registry.counter('minecraft_physical_lock_rejections_total', 'Physical tool calls rejected because the lock queue was full or the wait timed out'),
+      chatMessages: registry.counter('minecraft_chat_messages_total', 'Chat and system messages received, by type'),
+      reconnects: registry.counter('minecraft_reconnects_total', 'Reconnect decisions, by disconnect category and decision (retry, cooldown, give_up)'),
+
+      connected: registry.gauge('minecraft_connected', '1 if the bot is connected and spawned', perBot(ctx => ctx.connectionState === 'connected' && ctx.bot ? 1 : 0)),
+      connectionState: registry.gauge('minecraft_connection_state', 'Current connection state (1 for the active state)',
+        () => [...this.bots.values()].map(ctx => ({ labels: { bot_id: ctx.botId, state: ctx.connectionState }, value: 1 }))),
+      keepaliveAge: registry.gauge('minecraft_keepalive_age_seconds', 'Seconds since the last keepalive packet from the server', perBot(ctx => ctx.bot && ctx.lastKeepalive ? (Date.now() - ctx.lastKeepalive) / 1000 : null)),
+      reconnectAttempt: registry.gauge('minecraft_reconnect_attempt', 'Current reconnect attempt number (0 when connected)', perBot(ctx => ctx.reconnectAttempt)),
+      pathfinderMoving: registry.gauge('minecraft_pathfinder_moving', '1 if the pathfinder is moving the bot', perBot(ctx => ctx.bot?.pathfinder ? (ctx.bot.pathfinder.isMoving() ? 1 : 0) : null)),
+      pathfinderGoal: registry.gauge('minecraft_pathfinder_has_goal', '1 if the pathfinder has a goal set', perBot(ctx => ctx.bot?.pathfinder ? (ctx.bot.pathfinder.goal ? 1 : 0) : null)),
+      lockHeld: registry.gauge('minecraft_physical_lock_held', '1 if a physical tool holds the lock', perBot(ctx => ctx.physicalLock.isHeld() ? 1 : 0)),
+      lockWaiting: registry.gauge('minecraft_physical_lock_waiting', 'Physical tool calls queued for the lock', perBot(ctx => ctx.physicalLock.waiters.length)),
+      sessions: registry.gauge('mcp_sessions', 'Open MCP sessions', () => [{ value: this._sessions.size }])
+    }
+  }
+
+  // Create (or return) the context for a named bot.
+  //
+  // A context is an object whose prototype is this MinecraftMCP instance, so
+  // every method the tool modules register (connect, getStatus, craftItem...)
+  // runs with `this` bound to one bot's own state: its mineflayer bot, chat
+  // log, reconnect watchdog, Guts instance and physical lock.
+  addBotContext(botId) {
+    if (this.bots.has(botId)) return this.bots.get(botId)
+
+    const ctx = Object.create(this)
+    ctx.botId = botId
+    ctx.bot = null
+    ctx.mcData = null
+    ctx.chatLog = []
+    ctx.connectionState = 'disconnected'
+    ctx.connectArgs = null
+    ctx.lastDisconnectReason = null
+    ctx.reconnectAttempt = 0
+    ctx.disconnectCategory = null  // reconnect policy category of the last drop
+    ctx.reconnectPlan = null       // last reconnect decision, for get_connection_status
+    ctx.profileName = null
+    ctx.lastKeepalive = null
+    ctx.reconnectTimer = null
+    ctx.watchdogTimer = null
+    ctx.currentVillager = null
+    ctx.elytraFlight = null
+    ctx.travel = null  // travel_to trip, kept after it ends for get_status
+    ctx.blockTags = null  // block tags from the server's tags packet, for find_blocks
+    ctx.movementProfile = MCP_MOVEMENT_PROFILE  // default for calls without a profile
+    ctx.physicalLock = new PhysicalLock()
+    ctx.proxy = new ProxyTracker()
+    ctx.entityTracker = new EntityTracker()
+    ctx.playerHistory = new PlayerHistory()
+    ctx.botEvents = new EventEmitter()  // notifyEvent kinds, for wait_for_event
+
+    // Register all tool handlers from modules against this bot
+    ctx.handlers = {}
     for (const module of toolModules) {
-      module.registerHandlers(this)
+      module.registerHandlers(ctx)
     }
+
+    // Guts (survival instincts) starts when this bot connects via onBotReady
+    ctx.guts = new Guts({
+      getBot: () => ctx.bot,
+      isLocked: () => ctx.physicalLock.isHeld(),
+      onFlee: (x, y, z) => {
+        if (ctx.bot?.pathfinder) {
+          const { GoalBlock } = pathfinderPkg.goals
+          ctx.bot.pathfinder.setGoal(new GoalBlock(x, y, z))
+        }
+      },
+    })
+
+    this.bots.set(botId, ctx)
+    return ctx
+  }
+
+  getBotContext(botId = DEFAULT_BOT_ID) {
+    const ctx = this.bots.get(botId)
+    if (!ctx) {
+      throw new Error(`Unknown bot_id "${botId}". Known bots: ${[...this.bots.keys()].join(', ')}`)
+    }
+    return ctx
   }
 
   // Helper to ensure bot is connected
@@ -127,6 +315,8 @@ class MinecraftMCP {
     if (!this.bot) {
       if (this.connectionState === 'reconnecting') {
         throw new Error(`Reconnecting (attempt ${this.reconnectAttempt}). Watchdog will auto-reconnect. Please wait and try again.`)
+      } else if (this.connectionState === 'gave_up') {
+        throw new Error(`${this.lastDisconnectReason || 'Not connected'}. Auto-reconnect stopped (${this.reconnectPlan?.reason}). Use connect_profile to reconnect.`)
       } else if (this.connectionState === 'connecting') {
         throw new Error('Connection in progress. Please wait and try again.')
       } else {
@@ -136,10 +326,15 @@ class MinecraftMCP {
     }
   }
 
-  _collectTools() {
+  // Tools visible to a session; tools its role may not call are left out entirely
+  _collectTools(session) {
     const allTools = []
     for (const module of toolModules) {
-      allTools.push(...module.tools)
+      for (const tool of module.tools) {
+        if (!isToolAllowed(this.access, session?.role, tool.name)) continue
+        const withLock = MinecraftMCP.PHYSICAL_TOOLS.has(tool.name) ? withLockArgs(tool) : tool
+        allTools.push(withBotId(withLock))
+      }
     }
     return allTools
   }
@@ -152,39 +347,149 @@ class MinecraftMCP {
     'close_villager_trades', 'elytra_fly_to', 'sleep', 'wake',
     'equip_item',
     // Movement tools are also physical (Body calls these)
-    'move_to', 'move_near', 'follow_player',
+    'move_to', 'move_near', 'follow_player', 'go_to_waypoint', 'travel_to',
     'attack_entity',
+    // Moves the bot to another proxy backend
+    'switch_server',
   ])
 
   // Movement tools that set new pathfinding goals — should NOT auto-stop pathfinding
-  static MOVEMENT_TOOLS = new Set(['move_to', 'move_near', 'follow_player'])
+  static MOVEMENT_TOOLS = new Set(['move_to', 'move_near', 'follow_player', 'go_to_waypoint', 'travel_to'])
+
+  // Default lock priority for physical tools not listed here is 'normal'.
+  // It is also the highest a caller can ask for with lock_priority.
+  static TOOL_PRIORITIES = {
+    attack_entity: 'survival',
+  }
 
-  async callTool(request) {
-    const { name, arguments: args = {} } = request.params
+  // Run a tool call and record its outcome and latency (metrics + audit log)
+  async callTool(request, session, extra) {
+    const started = Date.now()
+    const result = await this._callTool(request, session, extra?.signal)
+    const durationMs = Date.now() - started
+
+    this.audit?.record({ session, tool: request.params.name, args: request.params.arguments, durationMs, result })
+
+    const { name, arguments: { bot_id = DEFAULT_BOT_ID } = {} } = request.params
+    // Label values come from the client; keep unknown ones from growing the series
+    const labels = {
+      tool: TOOL_NAMES.has(name) ? name : 'unknown',
+      bot_id: this.bots.has(bot_id) ? bot_id : 'unknown'
+    }
+    this.metrics.toolCalls.inc({ ...labels, outcome: result?.isError ? 'error' : 'ok' })
+    this.metrics.toolDuration.observe({ tool: labels.tool }, durationMs / 1000)
+    return result
+  }
+
+  // `clientSignal` aborts when the MCP client cancels the request
+  // (notifications/cancelled). Handlers receive a signal that aborts on that
+  // or on preemption by a higher-priority physical call.
+  async _callTool(request, session, clientSignal) {
+    const { name, arguments: { bot_id, lock_priority, lock_timeout, ...args } = {} } = request.params
     const isPhysical = MinecraftMCP.PHYSICAL_TOOLS.has(name)
 
-    // Contention: if another physical tool is already running, return busy
-    if (isPhysical && this.physicalLock) {
-      return { content: [{ type: 'text', text: `Bot is busy (${this.physicalLock}). Try again shortly.` }], isError: true }
+    if (!isToolAllowed(this.access, session?.role, name)) {
+      console.error(`[Access] Denied ${name} to role ${session.role} (session ${session.id})`)
+      return { content: [{ type: 'text', text: `Error: Tool ${name} is not allowed for role "${session.role}"` }], isError: true }
+    }
+
+    let ctx
+    try {
+      ctx = this.getBotContext(bot_id)
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true }
+    }
+
+    // Refuse physical actions while the proxy has the bot on the wrong backend
+    if (isPhysical && name !== 'switch_server') {
+      const reason = ctx.wrongBackendReason()
+      if (reason) {
+        return { content: [{ type: 'text', text: `Error: ${name} refused — ${reason}` }], isError: true }
+      }
+    }
+
+    if (clientSignal?.aborted) {
+      return { content: [{ type: 'text', text: `Error: ${name} cancelled by client` }], isError: true }
+    }
+    const controller = new AbortController()
+    const onClientCancel = () => controller.abort(new Error('Cancelled by client'))
+    clientSignal?.addEventListener('abort', onClientCancel)
+
+    // Whatever the handler returned, report why it was cut short
+    let lease = null
+    const abortedResult = () => {
+      if (lease?.preemptedBy) {
+        return { content: [{ type: 'text', text: `Error: ${name} interrupted — preempted by ${lease.preemptedBy}` }], isError: true }
+      }
+      if (controller.signal.aborted) {
+        return { content: [{ type: 'text', text: `Error: ${name} cancelled by client` }], isError: true }
+      }
+      return null
+    }
+
+    // Contention: wait our turn if another physical tool is running on this bot
+    if (isPhysical) {
+      // Callers may lower a tool's priority, never raise it to preempt others
+      const priority = cappedPriority(lock_priority, MinecraftMCP.TOOL_PRIORITIES[name])
+      try {
+        lease = await ctx.physicalLock.acquire({
+          tool: name,
+          sessionId: session?.id || null,
+          priority,
+          timeoutMs: lock_timeout !== undefined ? lock_timeout * 1000 : undefined,
+          signal: controller.signal
+        })
+      } catch (err) {
+        clientSignal?.removeEventListener('abort', onClientCancel)
+        this.metrics.lockRejections.inc({ bot_id: ctx.botId })
+        return { content: [{ type: 'text', text: err.message }], isError: true }
+      }
+      this.metrics.lockWait.observe({ bot_id: ctx.botId }, lease.waitedMs / 1000)
+      lease.signal.addEventListener('abort', () => controller.abort(lease.signal.reason))
+      // Cancelled or preempted: stop what the body is doing and hand the lock
+      // on now rather than when the handler finally unwinds
+      controller.signal.addEventListener('abort', () => {
+        ctx.interruptPhysicalAction()
+        lease.release()
+      })
     }
 
-    if (isPhysical) this.physicalLock = name
     try {
       // Auto-stop pathfinding before non-movement physical tools (e.g. open_container,
       // break_block) so the bot doesn't walk away mid-action
-      if (isPhysical && !MinecraftMCP.MOVEMENT_TOOLS.has(name) && this.bot?.pathfinder) {
-        this.bot.pathfinder.stop()
+      if (isPhysical && !MinecraftMCP.MOVEMENT_TOOLS.has(name) && ctx.bot?.pathfinder) {
+        ctx.stopTravel(`Stopped for ${name}`)
+        ctx.bot.pathfinder.stop()
       }
 
-      const handler = this.handlers[name]
+      const handler = ctx.handlers[name]
       if (handler) {
-        return await handler(args)
+        const result = await handler(args, session, controller.signal)
+        return abortedResult() || result
       }
       return { content: [{ type: 'text', text: `Error: Unknown tool: ${name}` }], isError: true }
     } catch (err) {
-      return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true }
+      // e.g. pathfinder.goto() rejecting because the interrupt stopped it
+      return abortedResult() || { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true }
     } finally {
-      if (isPhysical) this.physicalLock = null
+      clientSignal?.removeEventListener('abort', onClientCancel)
+      lease?.release()
+    }
+  }
+
+  // Stop whatever physical action is in progress: pathfinding, digging and
+  // any open container or villager window
+  interruptPhysicalAction() {
+    if (!this.bot) return
+    this.stopTravel('Interrupted')
+    try { this.bot.pathfinder?.stop() } catch (e) {}
+    try { this.bot.stopDigging() } catch (e) {}
+    if (this.bot.currentWindow) {
+      try { this.bot.closeWindow(this.bot.currentWindow) } catch (e) {}
+    }
+    if (this.currentVillager) {
+      try { this.currentVillager.close() } catch (e) {}
+      this.currentVillager = null
     }
   }
 
@@ -195,35 +500,34 @@ class MinecraftMCP {
     }
   }
 
-  _createServer() {
+  // Create a Server plus the per-client state tools can see (e.g. which bot
+  // events the client subscribed to via subscribe_events)
+  _createSession({ role = null } = {}) {
     const server = new Server(
       { name: 'haksnbot-tools', version: '1.0.0' },
       { capabilities: { tools: {} } }
     )
-    server.setRequestHandler(ListToolsRequestSchema, () => ({ tools: this._collectTools() }))
-    server.setRequestHandler(CallToolRequestSchema, (req) => this.callTool(req))
-    return server
+    const session = {
+      id: null,
+      server,
+      role,  // access role from the bearer token (null = unrestricted)
+      subscriptions: new Map()  // botId -> Set of event kinds
+    }
+    server.setRequestHandler(ListToolsRequestSchema, () => ({ tools: this._collectTools(session) }))
+    server.setRequestHandler(CallToolRequestSchema, (req, extra) => this.callTool(req, session, extra))
+    return session
   }
 
   async runStdio() {
     // Register methods from all modules
     this._registerMethods()
 
-    // Create Guts instance (starts when bot connects via onBotReady)
-    this.guts = new Guts({
-      getBot: () => this.bot,
-      isLocked: () => !!this.physicalLock,
-      onFlee: (x, y, z) => {
-        if (this.bot?.pathfinder) {
-          const { GoalBlock } = pathfinderPkg.goals
-          this.bot.pathfinder.setGoal(new GoalBlock(x, y, z))
-        }
-      },
-    })
-
-    const server = this._createServer()
+    // The stdio parent is trusted; MCP_ROLE optionally narrows its tools
+    const session = this._createSession({ role: MCP_ROLE })
+    session.id = 'stdio'
+    this._sessions.set(session.id, session)
     const transport = new StdioServerTransport()
-    await server.connect(transport)
+    await session.server.connect(transport)
     console.error('Minecraft MCP server running (stdio)')
 
     // Auto-connect if environment variables are set
@@ -234,18 +538,6 @@ class MinecraftMCP {
     // Register methods from all modules
     this._registerMethods()
 
-    // Create Guts instance
-    this.guts = new Guts({
-      getBot: () => this.bot,
-      isLocked: () => !!this.physicalLock,
-      onFlee: (x, y, z) => {
-        if (this.bot?.pathfinder) {
-          const { GoalBlock } = pathfinderPkg.goals
-          this.bot.pathfinder.setGoal(new GoalBlock(x, y, z))
-        }
-      },
-    })
-
     // Map to store transports by session ID
     const transports = {}
 
@@ -254,13 +546,53 @@ class MinecraftMCP {
 
     // Health check endpoint
     app.get('/health', (req, res) => {
+      const defaultBot = this.getBotContext()
       res.json({
         status: 'ok',
-        bot: this.connectionState,
-        username: this.bot?.username || null,
+        bot: defaultBot.connectionState,
+        username: defaultBot.bot?.username || null,
+        bots: [...this.bots.values()].map(ctx => ({
+          bot_id: ctx.botId,
+          state: ctx.connectionState,
+          username: ctx.bot?.username || null,
+        })),
       })
     })
 
+    // Prometheus scrape endpoint (unauthenticated, like /health)
+    app.get('/metrics', (req, res) => {
+      res.set('Content-Type', 'text/plain; version=0.0.4').send(this.metrics.registry.render())
+    })
+
+    // Bearer-token authentication for every /mcp request. A session stays
+    // bound to the role it was initialized with.
+    if (this.access) {
+      app.use('/mcp', (req, res, next) => {
+        const role = roleForAuthorization(this.access, req.headers.authorization)
+        if (!role) {
+          res.status(401).set('WWW-Authenticate', 'Bearer').json({
+            jsonrpc: '2.0',
+            error: { code: -32001, message: 'Unauthorized' },
+            id: null
+          })
+          return
+        }
+        const session = this._sessions.get(req.headers['mcp-session-id'])
+        if (session && session.role !== role) {
+          res.status(403).json({
+            jsonrpc: '2.0',
+            error: { code: -32001, message: 'Forbidden: token does not match session' },
+            id: null
+          })
+          return
+        }
+        req.mcpRole = role
+        next()
+      })
+    } else {
+      console.error('[MCP] MCP_AUTH_FILE not set — /mcp accepts unauthenticated clients')
+    }
+
     // MCP POST endpoint
     app.post('/mcp', async (req, res) => {
       const sessionId = req.headers['mcp-session-id']
@@ -271,11 +603,14 @@ class MinecraftMCP {
           transport = transports[sessionId]
         } else if (!sessionId && isInitializeRequest(req.body)) {
           // New client connecting
+          const session = this._createSession({ role: req.mcpRole || null })
           transport = new StreamableHTTPServerTransport({
             sessionIdGenerator: () => randomUUID(),
             onsessioninitialized: sid => {
-              console.error(`[MCP] New session: ${sid}`)
+              console.error(`[MCP] New session: ${sid}${session.role ? ` (role ${session.role})` : ''}`)
               transports[sid] = transport
+              session.id = sid
+              this._sessions.set(sid, session)
             }
           })
 
@@ -284,12 +619,12 @@ class MinecraftMCP {
             if (sid && transports[sid]) {
               console.error(`[MCP] Session closed: ${sid}`)
               delete transports[sid]
+              this._sessions.delete(sid)
             }
           }
 
           // Connect a new Server instance to this transport
-          const server = this._createServer()
-          await server.connect(transport)
+          await session.server.connect(transport)
           await transport.handleRequest(req, res, req.body)
           return
         } else {
@@ -365,32 +700,88 @@ class MinecraftMCP {
     visionTools.registerMethods(this)
     viewerTools.registerMethods(this)
     elytraTools.registerMethods(this, Vec3)
+    eventsTools.registerMethods(this, Vec3)
+    lockTools.registerMethods(this)
+    proxyTools.registerMethods(this)
+    mapTools.registerMethods(this, Vec3)
+    memoryTools.registerMethods(this, Vec3)
+    trackingTools.registerMethods(this)
+    sightTools.registerMethods(this, Vec3)
+    environmentTools.registerMethods(this, Vec3)
+    playersTools.registerMethods(this)
+    waypointsTools.registerMethods(this, Vec3)
+    travelTools.registerMethods(this, Vec3, goals)
   }
 
-  async _autoConnect() {
+  // Bots to auto-connect from the environment. MC_USERNAME is the default
+  // bot; MC_BOTS adds named bots on the same server, e.g.
+  // MC_BOTS="miner=MinerBot,farmer=FarmerBot"
+  _autoConnectBots() {
     const host = process.env.MC_HOST
-    const username = process.env.MC_USERNAME
+    if (!host) return []
+
+    const server = {
+      host,
+      port: parseInt(process.env.MC_PORT) || 25565,
+      version: process.env.MC_VERSION,
+      auth: process.env.MC_AUTH
+    }
+
+    const bots = []
+    if (process.env.MC_USERNAME) {
+      bots.push({ botId: DEFAULT_BOT_ID, ...server, username: process.env.MC_USERNAME })
+    }
+    for (const entry of (process.env.MC_BOTS || '').split(',')) {
+      const [botId, username] = entry.split('=').map(s => s.trim())
+      if (botId && username) bots.push({ botId, ...server, username })
+    }
+    return bots
+  }
 
-    if (host && username) {
-      console.error(`[Connect] Auto-connecting to ${host} as ${username}...`)
+  async _autoConnect() {
+    for (const { botId, ...connectArgs } of this._autoConnectBots()) {
+      const ctx = this.addBotContext(botId)
+      console.error(`[Connect] Auto-connecting ${botId} to ${connectArgs.host} as ${connectArgs.username}...`)
       try {
-        await this.connect({
-          host,
-          port: parseInt(process.env.MC_PORT) || 25565,
-          username,
-          version: process.env.MC_VERSION,
-          auth: process.env.MC_AUTH
-        })
-        console.error('[Connect] Auto-connect successful')
+        await ctx.connect(connectArgs)
+        console.error(`[Connect] Auto-connect successful (${botId})`)
       } catch (err) {
-        console.error(`[Connect] Auto-connect failed: ${err.message} — watchdog will retry`)
+        console.error(`[Connect] Auto-connect failed (${botId}): ${err.message} — watchdog will retry`)
       }
       // Start watchdog regardless of whether initial connect succeeded
-      this.startWatchdog()
+      ctx.startWatchdog()
+    }
+  }
+
+  // Like world memory, the audit log is optional: a log directory that can't
+  // be created or read turns it off instead of stopping the server
+  _openAuditLog() {
+    if (!MCP_AUDIT_LOG) return null
+    try {
+      return new AuditLog({
+        file: MCP_AUDIT_LOG,
+        maxBytes: process.env.MCP_AUDIT_MAX_BYTES ? parseInt(process.env.MCP_AUDIT_MAX_BYTES, 10) : undefined,
+        resultChars: process.env.MCP_AUDIT_RESULT_CHARS ? parseInt(process.env.MCP_AUDIT_RESULT_CHARS, 10) : undefined
+      })
+    } catch (err) {
+      console.error(`[Audit] Audit log disabled: could not open ${MCP_AUDIT_LOG}: ${err.message}`)
+      return null
+    }
+  }
+
+  // World memory is optional: if the database can't be opened the tools
+  // report it disabled rather than the server failing to start
+  async _openWorldMemory() {
+    if (!MCP_WORLD_DB) return
+    try {
+      this.worldMemory = await WorldMemory.open(MCP_WORLD_DB)
+    } catch (err) {
+      console.error(`[Memory] World memory disabled: could not open ${MCP_WORLD_DB}: ${err.message}`)
     }
   }
 
   async run() {
+    await this._openWorldMemory()
     if (TRANSPORT === 'http') {
       await this.runHttp()
     } else {
@@ -402,18 +793,23 @@ class MinecraftMCP {
 const mcp = new MinecraftMCP()
 mcp.run().catch(console.error)
 
+function stopAllBots() {
+  for (const ctx of mcp.bots.values()) {
+    if (ctx.watchdogTimer) clearInterval(ctx.watchdogTimer)
+    if (ctx.reconnectTimer) clearTimeout(ctx.reconnectTimer)
+    if (ctx.guts) ctx.guts.stop()
+  }
+  mcp.worldMemory?.close()
+}
+
 process.on('SIGTERM', () => {
   console.error('[haksnbot-tools] SIGTERM received')
-  if (mcp.watchdogTimer) clearInterval(mcp.watchdogTimer)
-  if (mcp.reconnectTimer) clearTimeout(mcp.reconnectTimer)
-  if (mcp.guts) mcp.guts.stop()
+  stopAllBots()
   process.exit(0)
 })
 
 process.on('SIGINT', () => {
   console.error('[haksnbot-tools] SIGINT received')
-  if (mcp.watchdogTimer) clearInterval(mcp.watchdogTimer)
-  if (mcp.reconnectTimer) clearTimeout(mcp.reconnectTimer)
-  if (mcp.guts) mcp.guts.stop()
+  stopAllBots()
   process.exit(0)
 })
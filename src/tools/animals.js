@@ -3,6 +3,7 @@
  */
 
 import { text, json, error, matchesEntityType } from '../utils/helpers.js'
+import { profileProperty } from '../utils/movementProfiles.js'
 
 export const tools = [
   {
@@ -13,7 +14,8 @@ export const tools = [
       properties: {
         entity_type: { type: 'string', description: 'Entity type to interact with (cow, sheep, pig, horse, villager, etc.)' },
         item_name: { type: 'string', description: 'Item to equip before interacting (wheat, bucket, shears, lead, etc.)' },
-        max_distance: { type: 'number', description: 'Max search distance', default: 32 }
+        max_distance: { type: 'number', description: 'Max search distance', default: 32 },
+        ...profileProperty
       },
       required: ['entity_type']
     }
@@ -21,11 +23,11 @@ export const tools = [
 ]
 
 export function registerHandlers(mcp) {
-  mcp.handlers['interact_entity'] = async (args) => mcp.interactEntity(args)
+  mcp.handlers['interact_entity'] = async (args, session, signal) => mcp.interactEntity(args, signal)
 }
 
 export function registerMethods(mcp, Vec3, Movements, goals) {
-  mcp.interactEntity = async function({ entity_type, item_name, max_distance = 32 }) {
+  mcp.interactEntity = async function({ entity_type, item_name, max_distance = 32, profile }, signal) {
     this.requireBot()
 
     // Find entity using fuzzy matching
@@ -52,13 +54,13 @@ export function registerMethods(mcp, Vec3, Movements, goals) {
     // Move near entity if too far (need to be within ~3 blocks to interact)
     const distance = entity.position.distanceTo(this.bot.entity.position)
     if (distance > 3) {
-      const movements = new Movements(this.bot, this.mcData)
-      movements.canDig = false
-      this.bot.pathfinder.setMovements(movements)
+      this.bot.pathfinder.setMovements(this.createMovements(profile))
       await this.bot.pathfinder.goto(new goals.GoalNear(
         entity.position.x, entity.position.y, entity.position.z, 2
       ))
     }
+    // Cancelled while walking over: don't interact on arrival
+    if (signal?.aborted) return error('interact_entity cancelled')
 
     // Set up listener to capture GriefPrevention denial messages
     const denialMessages = []
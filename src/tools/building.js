@@ -39,7 +39,7 @@ export const tools = [
 
 export function registerHandlers(mcp) {
   mcp.handlers['place_block'] = async (args) => mcp.placeBlock(args)
-  mcp.handlers['break_block'] = async (args) => mcp.breakBlock(args)
+  mcp.handlers['break_block'] = async (args, session, signal) => mcp.breakBlock(args, signal)
 }
 
 export function registerMethods(mcp, Vec3) {
@@ -205,7 +205,8 @@ export function registerMethods(mcp, Vec3) {
       await this.bot.placeBlock(referenceBlock, faceVector)
     } catch (err) {
       this.bot.removeListener('message', onMessage)
-      return error(`Failed to place block: ${err.message}`)
+      const why = this.explainUnreachable(referenceBlock.position)
+      return error(`Failed to place block: ${err.message}${why ? ` - ${referenceBlock.name} to place against is ${why}` : ''}`)
     }
 
     // Wait for the block to be placed and catch any denial messages
@@ -238,7 +239,7 @@ export function registerMethods(mcp, Vec3) {
     })
   }
 
-  mcp.breakBlock = async function({ x, y, z, equip_best_tool = true }) {
+  mcp.breakBlock = async function({ x, y, z, equip_best_tool = true }, signal) {
     this.requireBot()
 
     const targetPos = new Vec3(x, y, z)
@@ -253,7 +254,8 @@ export function registerMethods(mcp, Vec3) {
     }
 
     if (!this.bot.canDigBlock(block)) {
-      return error(`Cannot break ${block.name} at ${x}, ${y}, ${z} - block is unbreakable or out of reach`)
+      const why = this.explainUnreachable(targetPos)
+      return error(`Cannot break ${block.name} at ${x}, ${y}, ${z} - ${why || 'block is unbreakable'}`)
     }
 
     // Optionally equip the best tool
@@ -270,6 +272,9 @@ export function registerMethods(mcp, Vec3) {
       }
     }
 
+    if (signal?.aborted) {
+      return error(`Cancelled before breaking ${block.name}`)
+    }
     const digTime = this.bot.digTime(block)
 
     // Set up listener to capture GriefPrevention denial messages
@@ -287,11 +292,20 @@ export function registerMethods(mcp, Vec3) {
     }
     this.bot.on('message', onMessage)
 
+    // Cancelled mid-dig: stop swinging now (bot.dig() then rejects)
+    const onAbort = () => this.bot.stopDigging()
+    signal?.addEventListener('abort', onAbort, { once: true })
     try {
       await this.bot.dig(block)
     } catch (err) {
       this.bot.removeListener('message', onMessage)
-      return error(`Failed to break ${block.name}: ${err.message}`)
+      if (signal?.aborted) {
+        return error(`Cancelled while breaking ${block.name}`)
+      }
+      const why = this.explainUnreachable(targetPos)
+      return error(`Failed to break ${block.name}: ${err.message}${why ? ` - block is ${why}` : ''}`)
+    } finally {
+      signal?.removeEventListener('abort', onAbort)
     }
 
     // Wait briefly to catch any denial messages from GriefPrevention
@@ -2,7 +2,8 @@
  * Combat tools - attack_entity, use_item
  *
  * attack_entity re-enabled as MCP tool for Body agent access.
- * Mind's allowed_tools in core.py continues to exclude it.
+ * Mind must not call it: deny it in the Mind role of MCP_AUTH_FILE
+ * (see utils/access.js) so the daemon hides and rejects it.
  */
 
 import { text, error } from '../utils/helpers.js'
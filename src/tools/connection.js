@@ -1,37 +1,158 @@
 /**
- * Connection tools - get_connection_status only (connect/disconnect are infrastructure)
+ * Connection tools - get_connection_status, list_profiles, connect_profile, disconnect
+ *
+ * Servers are described by named profiles in the JSON file at MC_PROFILES_FILE:
+ *
+ *   {
+ *     "test": { "host": "localhost", "port": 25565, "version": "1.21.1", "username": "TestBot" },
+ *     "prod": { "host": "mc.example.com", "auth": "microsoft", "username": "bot@outlook.com",
+ *               "expectedServer": "Mooshroomia" }
+ *   }
+ *
+ * The file is re-read on every call, so profiles can be edited without a restart.
+ * The initial connection still comes from MC_HOST/MC_USERNAME (see _autoConnect).
  */
 
+import fs from 'fs'
 import path from 'path'
-import { text, json, logBotMessage } from '../utils/helpers.js'
+import { text, json, error, logBotMessage } from '../utils/helpers.js'
 import { installRawPacketInterceptor } from '../utils/lenient-parser.js'
+import { classifyDisconnect, planReconnect, nextReconnectAttempt } from '../utils/reconnectPolicy.js'
+
+const PROFILES_FILE = process.env.MC_PROFILES_FILE
+
+function loadProfiles() {
+  if (!PROFILES_FILE) {
+    throw new Error('Server profiles require the MC_PROFILES_FILE environment variable')
+  }
+  return JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'))
+}
 
 export const tools = [
   {
     name: 'get_connection_status',
-    description: 'Get current connection state. Returns: disconnected, connecting, connected, or reconnecting. Use this to check if the bot is connected before other operations.',
+    description: 'Get current connection state. Returns: disconnected, connecting, connected, reconnecting, or gave_up (auto-reconnect stopped, e.g. banned or not whitelisted — use connect_profile). Includes the reconnect decision: why the bot dropped, what the policy decided, and when the next retry is due. Use this to check if the bot is connected before other operations. Also lists every bot in this daemon with its bot_id and state.',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'list_profiles',
+    description: 'List the named server profiles (host, port, version, auth, expected backend server) that connect_profile can use, and which one the bot is on.',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'connect_profile',
+    description: 'Connect the bot to a named server profile (see list_profiles). Disconnects from the current server first, then auto-reconnects to the new one if dropped.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        profile: { type: 'string', description: 'Profile name' },
+        username: { type: 'string', description: 'Account to log in as (default: the profile\'s username, else the current one)' }
+      },
+      required: ['profile']
+    }
+  },
+  {
+    name: 'disconnect',
+    description: 'Disconnect the bot from the server and stop auto-reconnect until connect_profile is called.',
     inputSchema: { type: 'object', properties: {} }
   }
 ]
 
 export function registerHandlers(mcp) {
   mcp.handlers['get_connection_status'] = () => mcp.getConnectionStatus()
+  mcp.handlers['list_profiles'] = () => mcp.listProfiles()
+  mcp.handlers['connect_profile'] = async (args) => mcp.connectProfile(args)
+  mcp.handlers['disconnect'] = () => mcp.disconnect()
 }
 
 export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
   mcp.getConnectionStatus = function() {
+    const describe = (ctx) => ({
+      state: ctx.connectionState,
+      reconnectAttempt: ctx.connectionState === 'reconnecting' ? ctx.reconnectAttempt : null,
+      lastDisconnectReason: ctx.lastDisconnectReason,
+      reconnect: ctx.reconnectPlan,
+      backend: ctx.proxy.current,
+      botUsername: ctx.bot?.username || null,
+      profile: ctx.profileName || null
+    })
     return json({
-      state: this.connectionState,
-      reconnectAttempt: this.connectionState === 'reconnecting' ? this.reconnectAttempt : null,
-      lastDisconnectReason: this.lastDisconnectReason,
-      botUsername: this.bot?.username || null
+      botId: this.botId,
+      ...describe(this),
+      bots: [...this.bots.values()].map(ctx => ({ botId: ctx.botId, ...describe(ctx) }))
     })
   }
 
-  mcp.connect = async function({ host = 'localhost', port = 25565, username, version, auth }, isReconnect = false) {
+  mcp.listProfiles = function() {
+    let profiles
+    try {
+      profiles = loadProfiles()
+    } catch (err) {
+      return error(`Failed to load profiles: ${err.message}`)
+    }
+
+    return json({
+      current: this.profileName || null,
+      profiles: Object.entries(profiles).map(([name, p]) => ({
+        name,
+        host: p.host,
+        port: p.port || 25565,
+        version: p.version || null,
+        auth: p.auth || 'offline',
+        username: p.username || null,
+        expectedServer: p.expectedServer || null
+      }))
+    })
+  }
+
+  mcp.connectProfile = async function({ profile, username }) {
+    let profiles
+    try {
+      profiles = loadProfiles()
+    } catch (err) {
+      return error(`Failed to load profiles: ${err.message}`)
+    }
+
+    const p = profiles[profile]
+    if (!p) {
+      return error(`Unknown profile "${profile}". Available: ${Object.keys(profiles).join(', ') || 'none'}`)
+    }
+    if (!p.host) {
+      return error(`Profile "${profile}" has no host`)
+    }
+
+    const account = username || p.username || this.connectArgs?.username || this.bot?.username
+    if (!account) {
+      return error(`Profile "${profile}" has no username; pass one explicitly`)
+    }
+
+    // Leave the current server cleanly (also stops the old watchdog/reconnects)
+    if (this.bot || this.connectArgs) {
+      this.disconnect()
+    }
+
+    this.profileName = profile
+    try {
+      return await this.connect({
+        host: p.host,
+        port: p.port || 25565,
+        username: account,
+        version: p.version,
+        auth: p.auth,
+        expectedServer: p.expectedServer || null
+      })
+    } catch (err) {
+      return error(`Failed to connect to profile "${profile}": ${err.message} — watchdog will retry`)
+    } finally {
+      // Keep reconnecting to this profile if the first attempt fails or drops
+      this.startWatchdog()
+    }
+  }
+
+  mcp.connect = async function({ host = 'localhost', port = 25565, username, version, auth, expectedServer = process.env.MC_EXPECTED_SERVER }, isReconnect = false) {
     // Store credentials for auto-reconnect
     if (!isReconnect) {
-      this.connectArgs = { host, port, username, version, auth }
+      this.connectArgs = { host, port, username, version, auth, expectedServer }
     }
 
     // If already connecting/reconnecting, don't start another connection
@@ -42,9 +163,12 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
       return text(`Already ${this.connectionState}. Please wait.`)
     }
 
+    // Classified again from whatever ends this attempt
+    this.disconnectCategory = null
+
     // Set state
     this.connectionState = isReconnect ? 'reconnecting' : 'connecting'
-    console.error(`Connection state: ${this.connectionState}`)
+    console.error(`[${this.botId}] Connection state: ${this.connectionState}`)
 
     // Clean up existing bot
     if (this.bot) {
@@ -80,14 +204,26 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
           resolve(result)
         } else {
           this.connectionState = 'disconnected'
+          this.disconnectCategory ||= classifyDisconnect(result.message)
           reject(result)
         }
       }
 
+      let bot
       try {
         console.error(`Creating bot for ${username}@${host}:${port}...`)
-        this.bot = mineflayer.createBot(opts)
+        bot = this.bot = mineflayer.createBot(opts)
         this.bot.loadPlugin(pathfinder)
+        // Track the proxy backend and return to expectedServer (see tools/proxy.js)
+        this.attachProxyTracking(bot)
+        // Record what the bot sees into the world memory (see tools/memory.js)
+        this.attachWorldMemory(bot)
+        // Position history for track_entity (see tools/tracking.js)
+        this.attachEntityTracking(bot)
+        // Join/leave history for get_player_history (see tools/players.js)
+        this.attachPlayerHistory(bot)
+        // Server block tags for find_blocks (see tools/observation.js)
+        this.attachBlockTags(bot)
         console.error('Bot object created, waiting for login/spawn...')
       } catch (err) {
         console.error('Failed to create bot:', err.message)
@@ -116,20 +252,9 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
         this.connectionState = 'connected'
         this.reconnectAttempt = 0
         this.lastDisconnectReason = null
-        console.error(`Connection state: connected as ${this.bot.username}`)
-
-        // Detect wrong server on initial connect (e.g. reconnect lands on Hub)
-        const expectedServer = process.env.MC_EXPECTED_SERVER
-        if (expectedServer) {
-          setTimeout(() => {
-            if (!this.bot) return
-            const gm = this.bot.game?.gameMode
-            if (gm === 'adventure' || gm === 2) {
-              console.error(`[spawn] Wrong server on initial connect (gameMode=${gm}), switching to ${expectedServer}`)
-              this.bot.chat(`/server ${expectedServer}`)
-            }
-          }, 1000)
-        }
+        this.disconnectCategory = null
+        this.reconnectPlan = null
+        console.error(`[${this.botId}] Connection state: connected as ${this.bot.username}`)
 
         // Start Body agent loop
         this.onBotReady?.()
@@ -145,7 +270,6 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
       // 'spawn' event but the pathfinder's internal world cache becomes stale.
       // Reloading the plugin forces it to re-read the fresh chunk data.
       let spawnCount = 0
-      const expectedServer = process.env.MC_EXPECTED_SERVER  // e.g. "Mooshroomia"
       this.bot.on('spawn', () => {
         spawnCount++
         if (spawnCount > 1) {
@@ -155,28 +279,18 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
           try { this.bot.pathfinder.stop() } catch (e) {}
           // Re-load the pathfinder plugin to reset its internal state
           this.bot.loadPlugin(pathfinder)
-
-          // Detect wrong server (e.g. Velocity fallback to Hub after backend kick)
-          // and switch back. Check after a short delay so gameMode has settled.
-          if (expectedServer) {
-            setTimeout(() => {
-              if (!this.bot) return
-              const gm = this.bot.game?.gameMode
-              // Hub is adventure mode (2); Mooshroomia is survival (0)
-              if (gm === 'adventure' || gm === 2) {
-                console.error(`[spawn #${spawnCount}] Wrong server detected (gameMode=${gm}), switching to ${expectedServer}`)
-                this.bot.chat(`/server ${expectedServer}`)
-              }
-            }, 1000)
-          }
+          // A cached scan_area is of the old backend's blocks
+          this.lastVisibleScan = null
         }
       })
 
       this.bot.on('chat', (user, message) => {
         this.chatLog.push({ type: 'chat', user, message, timestamp: Date.now() })
         if (this.chatLog.length > 100) this.chatLog.shift()
-        // Log to file for agent to tail
-        logBotMessage('chat', message, { user })
+        // Log to file for agent to tail, and push to subscribed MCP clients
+        logBotMessage('chat', message, { user, bot_id: this.botId })
+        this.notifyEvent('chat', { user, message })
+        this.metrics.chatMessages.inc({ bot_id: this.botId, type: 'chat' })
       })
 
       // Track sign placement to filter subsequent sign content lines
@@ -224,8 +338,10 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
             if (!isDuplicate) {
               this.chatLog.push({ type: 'chat', user, message, timestamp: Date.now() })
               if (this.chatLog.length > 100) this.chatLog.shift()
-              // Log to file for agent to tail
-              logBotMessage('chat', message, { user })
+              // Log to file for agent to tail, and push to subscribed MCP clients
+              logBotMessage('chat', message, { user, bot_id: this.botId })
+              this.notifyEvent('chat', { user, message })
+              this.metrics.chatMessages.inc({ bot_id: this.botId, type: 'chat' })
               return
             }
           }
@@ -233,7 +349,9 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
           this.chatLog.push({ type: 'system', message: msgText, position, timestamp: Date.now() })
           if (this.chatLog.length > 100) this.chatLog.shift()
           // Log system messages to file for agent to tail (command responses, etc.)
-          logBotMessage('system', msgText, { position })
+          logBotMessage('system', msgText, { position, bot_id: this.botId })
+          this.notifyEvent('system', { message: msgText, position })
+          this.metrics.chatMessages.inc({ bot_id: this.botId, type: 'system' })
         }
       })
 
@@ -245,13 +363,23 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
       this.bot.on('kicked', (reason) => {
         const reasonStr = typeof reason === 'string' ? reason : JSON.stringify(reason)
         this.lastDisconnectReason = `Kicked: ${reasonStr}`
+        this.disconnectCategory = classifyDisconnect(reasonStr, true)
         console.error('Kicked:', reasonStr)
+        this.notifyEvent('kicked', { reason: reasonStr })
       })
 
       this.bot.on('end', (reason) => {
+        // A bot replaced by a newer connect() must not clobber the new one's state
+        if (this.bot !== bot) {
+          console.error('Previous bot disconnected:', reason || 'Connection closed')
+          return
+        }
+
         const wasConnected = this.connectionState === 'connected'
         const disconnectReason = this.lastDisconnectReason || reason || 'Connection closed'
+        this.disconnectCategory ||= classifyDisconnect(disconnectReason)
         console.error('Disconnected:', disconnectReason)
+        this.notifyEvent('end', { reason: disconnectReason, wasConnected })
 
         // Stop Reflexes before nulling bot
         this.reflexes?.stop()
@@ -272,6 +400,13 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
 
       // Timeout after 30 seconds
       setTimeout(() => {
+        // Superseded by a newer connect() (e.g. connect_profile mid-login)
+        if (!resolved && this.bot !== bot) {
+          resolved = true
+          try { bot.quit() } catch (e) {}
+          reject(new Error('Connection attempt superseded'))
+          return
+        }
         if (!resolved && this.connectionState !== 'connected') {
           console.error('Connection timeout after 30 seconds')
           try {
@@ -285,13 +420,36 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
     })
   }
 
+  // Decide the next reconnect from why we dropped (see utils/reconnectPolicy.js)
+  // and record the decision for get_connection_status.
   mcp.scheduleReconnect = function() {
-    this.reconnectAttempt++
-    // Fast backoff: 1s, 2s, 5s, 5s, 5s... (cap at 5s)
-    const delays = [1000, 2000, 5000]
-    const delay = delays[Math.min(this.reconnectAttempt - 1, delays.length - 1)]
+    const category = this.disconnectCategory || 'connection_lost'
+    this.reconnectAttempt = nextReconnectAttempt(this.reconnectAttempt, this.reconnectPlan?.category, category)
+    const plan = planReconnect(category, this.reconnectAttempt)
+
+    this.reconnectPlan = {
+      category,
+      decision: plan.action,
+      attempt: this.reconnectAttempt,
+      delayMs: plan.delayMs,
+      nextRetryAt: plan.delayMs !== null ? new Date(Date.now() + plan.delayMs).toISOString() : null,
+      reason: plan.reason
+    }
+    this.metrics.reconnects.inc({ bot_id: this.botId, category, decision: plan.action })
 
-    console.error(`[Reconnect] Attempt ${this.reconnectAttempt} in ${delay}ms...`)
+    if (plan.action === 'give_up') {
+      console.error(`[Reconnect] ${this.botId}: giving up (${plan.reason})`)
+      this.connectionState = 'gave_up'
+      return
+    }
+
+    if (plan.action === 'cooldown') {
+      console.error(`[Reconnect] ${this.botId}: ${plan.reason} for ${Math.round(plan.delayMs / 1000)}s`)
+      // The attempt after the cool-down starts a fresh backoff
+      this.reconnectAttempt = 0
+    } else {
+      console.error(`[Reconnect] ${this.botId}: ${plan.reason} in ${plan.delayMs}ms...`)
+    }
     this.connectionState = 'reconnecting'
 
     this.reconnectTimer = setTimeout(async () => {
@@ -306,7 +464,7 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
         // 'connected', so wasConnected will be false.
         this.scheduleReconnect()
       }
-    }, delay)
+    }, plan.delayMs)
   }
 
   mcp.startWatchdog = function() {
@@ -332,6 +490,7 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
       if (state === 'connected' && this.bot && this.lastKeepalive && (now - this.lastKeepalive > 35000)) {
         console.error(`[Watchdog] No keepalive for ${Math.round((now - this.lastKeepalive) / 1000)}s — forcing reconnect`)
         this.lastKeepalive = null
+        this.disconnectCategory = 'connection_lost'
         try { this.bot.quit() } catch (e) {}
         // The 'end' event handler will fire and call scheduleReconnect
         return
@@ -348,7 +507,9 @@ export function registerMethods(mcp, mineflayer, minecraftData, pathfinder) {
   mcp.disconnect = function() {
     // Clear credentials to stop auto-reconnect and watchdog
     this.connectArgs = null
+    this.profileName = null
     this.reconnectAttempt = 0
+    this.reconnectPlan = null
     this.connectionState = 'disconnected'
 
     if (this.reconnectTimer) {
@@ -48,9 +48,9 @@ export const tools = [
 ]
 
 export function registerHandlers(mcp) {
-  mcp.handlers['open_container'] = async (args) => mcp.openContainer(args)
+  mcp.handlers['open_container'] = async (args, session, signal) => mcp.openContainer(args, signal)
   mcp.handlers['get_container_contents'] = () => mcp.getContainerContents()
-  mcp.handlers['transfer_items'] = async (args) => mcp.transferItems(args)
+  mcp.handlers['transfer_items'] = async (args, session, signal) => mcp.transferItems(args, signal)
   mcp.handlers['close_container'] = async () => mcp.closeContainer()
 }
 
@@ -112,7 +112,7 @@ export function registerMethods(mcp, Vec3) {
     return layouts[windowType] || { type: 'unknown', slots: null, containerSlotCount: null }
   }
 
-  mcp.openContainer = async function({ x, y, z }) {
+  mcp.openContainer = async function({ x, y, z }, signal) {
     this.requireBot()
 
     // Ensure coordinates are integers - floats can cause blockAt to return invalid objects
@@ -166,16 +166,23 @@ export function registerMethods(mcp, Vec3) {
       const timeoutPromise = new Promise((_, reject) =>
         setTimeout(() => reject(new Error('TIMEOUT')), openTimeout)
       )
+      // Cancelled while waiting for the window (the interrupt closes it if it opens)
+      const abortPromise = new Promise((_, reject) =>
+        signal?.addEventListener('abort', () => reject(new Error('CANCELLED')), { once: true })
+      )
 
       let window
       try {
-        window = await Promise.race([openPromise, timeoutPromise])
+        window = await Promise.race([openPromise, timeoutPromise, abortPromise])
       } finally {
         this.bot._client.removeListener('open_window', onOpenWindow)
       }
 
       return this._formatContainerResult(window, block, bx, by, bz)
     } catch (err) {
+      if (err.message === 'CANCELLED') {
+        return error(`Cancelled while opening ${block.name} at ${bx}, ${by}, ${bz}`)
+      }
       if (err.message === 'TIMEOUT' || err.message.includes('timeout')) {
         if (serverOpenedWindow && this.bot._rawWindowItems) {
           // Server opened the window but the normal parser couldn't handle
@@ -194,14 +201,26 @@ export function registerMethods(mcp, Vec3) {
           })
         }
 
-        // Server never responded — likely a claim denial
+        // Server never responded: it ignores clicks from out of reach,
+        // otherwise it's likely a claim denial
+        const sight = this.lineOfSight({ position: block.position })
+        if (!sight.within_reach) {
+          return json({
+            error: 'container_out_of_reach',
+            message: `Cannot open container at ${bx}, ${by}, ${bz} - ${this.explainUnreachable(block.position)}`,
+            block_name: block.name,
+            position: { x: bx, y: by, z: bz }
+          })
+        }
+
         const claimInfo = await checkClaimStatus(this.bot)
         return json({
           error: 'container_access_denied',
           message: `Cannot open container at ${bx}, ${by}, ${bz} - likely protected by a claim`,
           block_name: block.name,
           position: { x: bx, y: by, z: bz },
-          claim_info: claimInfo
+          claim_info: claimInfo,
+          ...(sight.obstructed_by && { obstructed_by: sight.obstructed_by })
         })
       }
 
@@ -232,6 +251,8 @@ export function registerMethods(mcp, Vec3) {
       count: item.count
     }))
 
+    this.rememberContainer(block, bx, by, bz, containerItems)
+
     return json({
       container_type: layout.type,
       block_name: block.name,
@@ -380,6 +401,8 @@ export function registerMethods(mcp, Vec3) {
       count: item.count
     }))
 
+    this.rememberContainer(block, bx, by, bz, [...containerItems, ...partialItems])
+
     const result = {
       container_type: layout.type,
       block_name: block.name,
@@ -436,6 +459,8 @@ export function registerMethods(mcp, Vec3) {
       slot: item.slot, name: item.name, count: item.count
     }))
 
+    this.rememberContainer(block, bx, by, bz, containerItems)
+
     const windowType = openWindowPacket?.inventoryType || 'minecraft:generic_9x3'
     const layout = this.getContainerSlotLayout(windowType)
 
@@ -493,7 +518,9 @@ export function registerMethods(mcp, Vec3) {
     })
   }
 
-  mcp.transferItems = async function({ item_name, count, direction, target_slot }) {
+  // A deposit/withdraw already under way is one window operation; cancelling
+  // it relies on the interrupt closing the window, which makes it fail
+  mcp.transferItems = async function({ item_name, count, direction, target_slot }, signal) {
     this.requireBot()
     const window = this.bot.currentWindow
     if (!window) {
@@ -522,7 +549,8 @@ export function registerMethods(mcp, Vec3) {
             return error(`Item "${item_name}" not found in window inventory slots`)
           }
           await this.bot.clickWindow(invItem.slot, 0, 0) // Pick up item
-          await this.bot.clickWindow(target_slot, 0, 0) // Place in target slot
+          // Cancelled or not, don't leave the item on the cursor
+          if (!signal?.aborted) await this.bot.clickWindow(target_slot, 0, 0) // Place in target slot
           // If we have leftovers, put them back
           if (this.bot.heldItem) {
             await this.bot.clickWindow(invItem.slot, 0, 0)
@@ -43,7 +43,7 @@ export const tools = [
 export function registerHandlers(mcp) {
   mcp.handlers['get_craftable_items'] = (args) => mcp.getCraftableItems(args)
   mcp.handlers['get_recipe'] = (args) => mcp.getRecipe(args)
-  mcp.handlers['craft_item'] = async (args) => mcp.craftItem(args)
+  mcp.handlers['craft_item'] = async (args, session, signal) => mcp.craftItem(args, signal)
 }
 
 export function registerMethods(mcp) {
@@ -197,7 +197,7 @@ export function registerMethods(mcp) {
     })
   }
 
-  mcp.craftItem = async function({ item_name, count = 1 }) {
+  mcp.craftItem = async function({ item_name, count = 1 }, signal) {
     this.requireBot()
 
     const item = this.mcData.itemsByName[item_name]
@@ -239,11 +239,23 @@ export function registerMethods(mcp) {
     // Use the first available recipe
     const recipe = recipes[0]
 
+    // Up to a stack of output per bot.craft() (one window round trip each),
+    // so a cancelled request stops between batches
+    const batch = Math.max(1, Math.floor(item.stackSize / (recipe.result?.count || 1)))
+    let crafted = 0
     try {
-      await this.bot.craft(recipe, count, craftingTable)
+      while (crafted < count) {
+        if (signal?.aborted) {
+          return error(`Cancelled after crafting ${crafted} of ${count}x ${item_name}`)
+        }
+        const n = Math.min(batch, count - crafted)
+        await this.bot.craft(recipe, n, craftingTable)
+        crafted += n
+      }
       return text(`Crafted ${count}x ${item_name}`)
     } catch (err) {
-      return error(`Failed to craft ${item_name}: ${err.message}`)
+      const done = crafted > 0 ? ` (crafted ${crafted} of ${count})` : ''
+      return error(`Failed to craft ${item_name}${done}: ${err.message}`)
     }
   }
 }
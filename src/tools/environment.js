@@ -0,0 +1,165 @@
+/**
+ * Environment tools - get_environment
+ *
+ * Biome, light, weather and moon phase at a position, with the vanilla rules
+ * for whether hostile mobs can spawn there and whether a bed can be used.
+ */
+
+import { json, error } from '../utils/helpers.js'
+import { HOSTILE_MOBS } from 'haksnbot-guts'
+
+const MOON_PHASES = ['full_moon', 'waning_gibbous', 'last_quarter', 'waning_crescent',
+  'new_moon', 'waxing_crescent', 'first_quarter', 'waxing_gibbous']
+
+// Ticks when beds can be used: clear weather / rain (thunder: always)
+const SLEEP_CLEAR = [12542, 23459]
+const SLEEP_RAIN = [12010, 23991]
+
+// Hostiles this close to a bed (horizontal / vertical) prevent sleeping
+const SLEEP_MONSTER_XZ = 8
+const SLEEP_MONSTER_Y = 5
+
+// thunderState above this counts as a thunderstorm, as in vanilla
+const THUNDER_LEVEL = 0.9
+
+// Biomes where no hostile mobs spawn naturally
+const NO_SPAWN_BIOMES = new Set(['mushroom_fields', 'deep_dark'])
+
+// How much the sky light is reduced right now (0 at noon .. 11 at midnight),
+// as the vanilla client/server computes it from the sun angle and weather
+function skyDarkening(timeOfDay, rain, thunder) {
+  const d = ((timeOfDay / 24000 - 0.25) % 1 + 1) % 1
+  const angle = (d * 2 + (0.5 - Math.cos(d * Math.PI) / 2)) / 3
+  let f = 1 - (Math.cos(angle * Math.PI * 2) * 2 + 0.5)
+  f = 1 - Math.min(Math.max(f, 0), 1)
+  f *= 1 - rain * 5 / 16
+  f *= 1 - thunder * 5 / 16
+  return Math.floor((1 - f) * 11)
+}
+
+export const tools = [
+  {
+    name: 'get_environment',
+    description: 'Conditions at a position (default: the bot): biome, block light and sky light (raw and effective now), rain/thunder, time and moon phase, whether hostile mobs can spawn there (and why not), and whether a bed there could be used right now.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        x: { type: 'number', description: 'X coordinate (default: bot position)' },
+        y: { type: 'number', description: 'Y coordinate (default: bot position)' },
+        z: { type: 'number', description: 'Z coordinate (default: bot position)' }
+      }
+    }
+  }
+]
+
+export function registerHandlers(mcp) {
+  mcp.handlers['get_environment'] = (args) => mcp.getEnvironment(args)
+}
+
+export function registerMethods(mcp, Vec3) {
+  // Whether a hostile mob could spawn standing at pos: { possible, reasons }
+  mcp.hostileSpawnCheck = function(pos, { blockLight, effectiveSky, biome }) {
+    const bot = this.bot
+    const reasons = []
+    const dimension = String(bot.game.dimension).replace(/^minecraft:/, '')
+
+    if (bot.game.difficulty === 'peaceful') reasons.push('difficulty is peaceful')
+    if (biome && NO_SPAWN_BIOMES.has(biome)) reasons.push(`no hostile spawns in ${biome}`)
+
+    // Two blocks of non-solid, non-liquid space on a solid, opaque floor
+    const feet = bot.blockAt(pos)
+    const head = bot.blockAt(pos.offset(0, 1, 0))
+    const floor = bot.blockAt(pos.offset(0, -1, 0))
+    const blocksMovement = (b) => !b || b.boundingBox !== 'empty' || /water|lava/.test(b.name)
+    if (blocksMovement(feet) || blocksMovement(head)) reasons.push('no room to stand')
+    if (!floor || floor.boundingBox !== 'block' || floor.transparent) reasons.push(`floor (${floor?.name ?? 'unloaded'}) is not a solid opaque block`)
+
+    // Light: 1.18+ overworld needs block light 0; older versions light <= 7
+    if (dimension === 'the_nether') {
+      if (blockLight > 11) reasons.push(`block light ${blockLight} > 11`)
+    } else if (dimension === 'the_end') {
+      if (blockLight > 0) reasons.push(`block light ${blockLight} > 0`)
+    } else if (this.mcData.isNewerOrEqualTo('1.18')) {
+      if (blockLight > 0) reasons.push(`block light ${blockLight} > 0`)
+      if (effectiveSky > 7) reasons.push(`sky light ${effectiveSky} > 7`)
+    } else if (Math.max(blockLight, effectiveSky) > 7) {
+      reasons.push(`light ${Math.max(blockLight, effectiveSky)} > 7`)
+    }
+
+    return { possible: reasons.length === 0, ...(reasons.length > 0 && { reasons }) }
+  }
+
+  // Whether a bed at pos could be used now: { possible, reasons }
+  mcp.sleepCheck = function(pos) {
+    const bot = this.bot
+    const reasons = []
+    const dimension = String(bot.game.dimension).replace(/^minecraft:/, '')
+    const time = bot.time.timeOfDay
+
+    if (dimension !== 'overworld') {
+      reasons.push(`beds explode in ${dimension}`)
+    } else if ((bot.thunderState ?? 0) <= THUNDER_LEVEL) {
+      const [start, end] = bot.isRaining ? SLEEP_RAIN : SLEEP_CLEAR
+      if (time < start || time > end) reasons.push(`it is day (time ${time}, beds work from ${start} to ${end})`)
+    }
+
+    const monsters = Object.values(bot.entities).filter(e =>
+      e !== bot.entity && (e.type === 'hostile' || (e.name && HOSTILE_MOBS.has(e.name))) &&
+      Math.abs(e.position.x - pos.x) <= SLEEP_MONSTER_XZ &&
+      Math.abs(e.position.z - pos.z) <= SLEEP_MONSTER_XZ &&
+      Math.abs(e.position.y - pos.y) <= SLEEP_MONSTER_Y)
+    if (monsters.length > 0) {
+      reasons.push(`monsters nearby: ${[...new Set(monsters.map(e => e.name))].join(', ')}`)
+    }
+
+    return { possible: reasons.length === 0, ...(reasons.length > 0 && { reasons }) }
+  }
+
+  mcp.getEnvironment = function({ x, y, z } = {}) {
+    this.requireBot()
+    const bot = this.bot
+
+    const botPos = bot.entity.position
+    const pos = new Vec3(x ?? botPos.x, y ?? botPos.y, z ?? botPos.z).floored()
+    const block = bot.blockAt(pos)
+    if (!block) {
+      return error(`Block at ${pos.x}, ${pos.y}, ${pos.z} is not loaded`)
+    }
+
+    const biome = block.biome?.name ?? this.mcData.biomes?.[block.biome?.id]?.name ?? null
+    const blockLight = block.light ?? 0
+    const skyLight = block.skyLight ?? 0
+    const rain = bot.rainState ?? (bot.isRaining ? 1 : 0)
+    const thunder = bot.thunderState ?? 0
+    const dimension = String(bot.game.dimension).replace(/^minecraft:/, '')
+    const hasSky = dimension === 'overworld'
+    const effectiveSky = hasSky ? Math.max(0, skyLight - skyDarkening(bot.time.timeOfDay, rain, thunder)) : 0
+
+    return json({
+      position: { x: pos.x, y: pos.y, z: pos.z },
+      dimension,
+      biome,
+      block: block.name,
+      light: {
+        block: blockLight,
+        sky: skyLight,
+        sky_effective: effectiveSky,
+        effective: Math.max(blockLight, effectiveSky)
+      },
+      weather: {
+        raining: bot.isRaining,
+        thundering: thunder > THUNDER_LEVEL,
+        rain_level: Math.round(rain * 100) / 100,
+        thunder_level: Math.round(thunder * 100) / 100
+      },
+      time: {
+        time_of_day: bot.time.timeOfDay,
+        day: bot.time.day,
+        is_day: bot.time.isDay,
+        moon_phase: MOON_PHASES[bot.time.moonPhase ?? 0]
+      },
+      hostile_spawn: this.hostileSpawnCheck(pos, { blockLight, effectiveSky, biome }),
+      sleep: this.sleepCheck(pos)
+    })
+  }
+}
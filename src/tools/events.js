@@ -0,0 +1,317 @@
+/**
+ * Event tools - subscribe_events, wait_for_event
+ *
+ * Pushes bot events (chat, system messages, kicks, disconnects) to MCP clients
+ * as `notifications/minecraft/event` notifications. In HTTP mode these arrive
+ * on the session's SSE stream (GET /mcp). Each MCP session opts in per bot and
+ * per event kind, so an agent only receives what it asked for.
+ *
+ * wait_for_event blocks a single call until a game condition holds, instead
+ * of the agent polling get_status in a loop.
+ */
+
+import { json, error, matchesEntityType } from '../utils/helpers.js'
+
+const EVENT_KINDS = ['chat', 'system', 'kicked', 'end']
+
+const EVENT_NOTIFICATION = 'notifications/minecraft/event'
+
+const CONDITION_TYPES = ['goal', 'player_in_range', 'entity_appears', 'block_change', 'health', 'food', 'chat', 'time']
+
+const DEFAULT_WAIT_S = 60
+const MAX_WAIT_S = 900
+
+// Minecraft day cycle in ticks (timeOfDay 0-23999)
+const NIGHT_START = 13000
+const NIGHT_END = 23000
+
+export const tools = [
+  {
+    name: 'subscribe_events',
+    description: `Choose which bot events this MCP session receives as "${EVENT_NOTIFICATION}" notifications (on the SSE stream in HTTP mode). Kinds: chat (player chat), system (server/command messages), kicked, end (disconnected). Replaces this session's previous selection for the bot; pass an empty list to unsubscribe.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        events: {
+          type: 'array',
+          items: { type: 'string', enum: EVENT_KINDS },
+          description: 'Event kinds to receive'
+        }
+      },
+      required: ['events']
+    }
+  },
+  {
+    name: 'wait_for_event',
+    description: `Block until a game condition holds or the timeout passes, instead of polling. Condition types:
+- goal: the current pathfinding goal is reached or fails (after move_to/move_near)
+- player_in_range: a player (or a named one) comes within range
+- entity_appears: an entity of entity_type is within range
+- block_change: the block at x,y,z changes
+- health / food: the value drops below or rises above threshold
+- chat: a chat message matches pattern (regex), optionally from user
+- time: it becomes day or night, or the time of day passes tick
+Returns immediately if the condition already holds. A timeout is not an error: the result has met=false.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        condition: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: CONDITION_TYPES },
+            player: { type: 'string', description: 'player_in_range: username (default: any player)' },
+            entity_type: { type: 'string', description: 'entity_appears: e.g. zombie, cow, item' },
+            range: { type: 'number', description: 'player_in_range / entity_appears: blocks (default 16)' },
+            x: { type: 'number', description: 'block_change: X coordinate' },
+            y: { type: 'number', description: 'block_change: Y coordinate' },
+            z: { type: 'number', description: 'block_change: Z coordinate' },
+            below: { type: 'number', description: 'health / food: met when the value drops below this' },
+            above: { type: 'number', description: 'health / food: met when the value rises above this' },
+            pattern: { type: 'string', description: 'chat: regular expression (case-insensitive)' },
+            user: { type: 'string', description: 'chat: only messages from this player' },
+            phase: { type: 'string', enum: ['day', 'night'], description: 'time: wait for day or night' },
+            tick: { type: 'number', description: 'time: wait until the time of day passes this tick (0-23999)' }
+          },
+          required: ['type']
+        },
+        timeout: { type: 'number', description: `Seconds to wait (default ${DEFAULT_WAIT_S}, max ${MAX_WAIT_S})` }
+      },
+      required: ['condition']
+    }
+  }
+]
+
+const isNight = (timeOfDay) => timeOfDay >= NIGHT_START && timeOfDay < NIGHT_END
+
+/**
+ * Build a watcher for a wait_for_event condition:
+ *   check()       details if the condition holds now, else null
+ *   events        bot events to re-check after ({ name: handler or null })
+ *   localEvents   notifyEvent kinds to re-check after (chat, system...)
+ * Throws on an invalid condition.
+ */
+function buildWatcher(mcp, condition, Vec3) {
+  const bot = mcp.bot
+  const range = condition.range ?? 16
+  const inRange = (entity) => entity.position.distanceTo(bot.entity.position) <= range
+
+  switch (condition.type) {
+    case 'goal': {
+      if (!bot.pathfinder.goal) throw new Error('No pathfinding goal is set (already reached, stopped, or never started with move_to/move_near)')
+      // Decided by the pathfinder events below; the first outcome sticks
+      let outcome = null
+      return {
+        check: () => outcome,
+        events: {
+          goal_reached: () => { outcome ||= { outcome: 'reached' } },
+          path_update: (r) => {
+            if (r.status === 'noPath' || r.status === 'timeout') outcome ||= { outcome: 'failed', reason: r.status }
+          },
+          path_stop: () => { outcome ||= { outcome: 'stopped' } },
+          goal_updated: () => { outcome ||= { outcome: 'replaced', reason: 'another goal was set' } }
+        }
+      }
+    }
+
+    case 'player_in_range': {
+      const check = () => {
+        const player = Object.values(bot.players).find(p =>
+          p.entity && p.username !== bot.username &&
+          (!condition.player || p.username.toLowerCase() === condition.player.toLowerCase()) &&
+          inRange(p.entity))
+        return player ? { player: player.username, distance: Math.floor(player.entity.position.distanceTo(bot.entity.position)) } : null
+      }
+      return { check, events: { entityMoved: null, entitySpawn: null, move: null } }
+    }
+
+    case 'entity_appears': {
+      if (!condition.entity_type) throw new Error('entity_appears needs entity_type')
+      const check = () => {
+        const entity = Object.values(bot.entities).find(e =>
+          e !== bot.entity && matchesEntityType(e, condition.entity_type) && inRange(e))
+        if (!entity) return null
+        const p = entity.position
+        return {
+          entity_id: entity.id,
+          name: entity.name || entity.mobType || entity.type,
+          position: { x: Math.floor(p.x), y: Math.floor(p.y), z: Math.floor(p.z) },
+          distance: Math.floor(p.distanceTo(bot.entity.position))
+        }
+      }
+      return { check, events: { entitySpawn: null, entityMoved: null, move: null } }
+    }
+
+    case 'block_change': {
+      const { x, y, z } = condition
+      if (x === undefined || y === undefined || z === undefined) throw new Error('block_change needs x, y and z')
+      const pos = new Vec3(x, y, z).floored()
+      const initial = bot.blockAt(pos)
+      if (!initial) throw new Error(`Block at ${x}, ${y}, ${z} is not loaded`)
+      const before = { name: initial.name, stateId: initial.stateId }
+      const check = () => {
+        const now = bot.blockAt(pos)
+        if (!now || (now.name === before.name && now.stateId === before.stateId)) return null
+        return { from: before.name, to: now.name, properties: now.getProperties?.() }
+      }
+      return { check, events: { [`blockUpdate:${pos}`]: null } }
+    }
+
+    case 'health':
+    case 'food': {
+      const { below, above } = condition
+      if (below === undefined && above === undefined) throw new Error(`${condition.type} needs below or above`)
+      const check = () => {
+        const value = bot[condition.type]
+        if (below !== undefined && value < below) return { [condition.type]: value }
+        if (above !== undefined && value > above) return { [condition.type]: value }
+        return null
+      }
+      return { check, events: { health: null } }
+    }
+
+    case 'chat': {
+      if (!condition.pattern) throw new Error('chat needs pattern')
+      let regex
+      try {
+        regex = new RegExp(condition.pattern, 'i')
+      } catch (err) {
+        throw new Error(`Invalid pattern: ${err.message}`)
+      }
+      // Only messages arriving after the call started count
+      let matched = null
+      return {
+        check: () => matched,
+        localEvents: {
+          chat: ({ user, message }) => {
+            if (condition.user && user.toLowerCase() !== condition.user.toLowerCase()) return
+            if (regex.test(message)) matched ||= { user, message }
+          },
+          system: ({ message }) => {
+            if (!condition.user && regex.test(message)) matched ||= { user: null, message }
+          }
+        }
+      }
+    }
+
+    case 'time': {
+      const { phase, tick } = condition
+      if (!phase && tick === undefined) throw new Error('time needs phase or tick')
+      let previous = bot.time.timeOfDay
+      let passed = false
+      const check = () => {
+        const now = bot.time.timeOfDay
+        if (phase) {
+          return (phase === 'night') === isNight(now) ? { time_of_day: now, phase } : null
+        }
+        // Passed the tick since the last update, allowing for the wrap at 24000
+        if (previous <= now ? (previous < tick && tick <= now) : (tick > previous || tick <= now)) passed = true
+        previous = now
+        return passed ? { time_of_day: now } : null
+      }
+      return { check, events: { time: null } }
+    }
+
+    default:
+      throw new Error(`Unknown condition type "${condition.type}". Valid types: ${CONDITION_TYPES.join(', ')}`)
+  }
+}
+
+export function registerHandlers(mcp) {
+  mcp.handlers['subscribe_events'] = (args, session) => mcp.subscribeEvents(args, session)
+  mcp.handlers['wait_for_event'] = async (args, session, signal) => mcp.waitForEvent(args, signal)
+}
+
+export function registerMethods(mcp, Vec3) {
+  mcp.subscribeEvents = function({ events = [] }, session) {
+    if (!session) {
+      return error('Event subscriptions require an MCP session')
+    }
+
+    const unknown = events.filter(e => !EVENT_KINDS.includes(e))
+    if (unknown.length > 0) {
+      return error(`Unknown event kind(s): ${unknown.join(', ')}. Valid kinds: ${EVENT_KINDS.join(', ')}`)
+    }
+
+    if (events.length === 0) {
+      session.subscriptions.delete(this.botId)
+    } else {
+      session.subscriptions.set(this.botId, new Set(events))
+    }
+
+    return json({
+      bot_id: this.botId,
+      subscribed: [...(session.subscriptions.get(this.botId) || [])],
+      notification: EVENT_NOTIFICATION
+    })
+  }
+
+  // Push an event from this bot to every MCP session subscribed to its kind
+  // (and to this bot's pending wait_for_event calls)
+  mcp.notifyEvent = function(kind, data = {}) {
+    this.botEvents.emit(kind, data)
+    for (const session of this._sessions.values()) {
+      if (!session.subscriptions.get(this.botId)?.has(kind)) continue
+      session.server.notification({
+        method: EVENT_NOTIFICATION,
+        params: { kind, bot_id: this.botId, timestamp: new Date().toISOString(), ...data }
+      }).catch(err => {
+        console.error(`[Events] Failed to notify session ${session.id}: ${err.message}`)
+      })
+    }
+  }
+
+  mcp.waitForEvent = async function({ condition, timeout = DEFAULT_WAIT_S }, signal) {
+    this.requireBot()
+
+    let watcher
+    try {
+      watcher = buildWatcher(this, condition || {}, Vec3)
+    } catch (err) {
+      return error(err.message)
+    }
+
+    const started = Date.now()
+    const result = (met, details) => json({ met, condition: condition.type, waited_ms: Date.now() - started, ...details })
+
+    const already = watcher.check()
+    if (already) return result(true, { already: true, ...already })
+
+    const bot = this.bot
+    const waitMs = Math.min(Math.max(timeout, 0), MAX_WAIT_S) * 1000
+
+    const outcome = await new Promise((resolve) => {
+      const listeners = []
+      const listen = (emitter, event, handler) => {
+        const fn = (...args) => {
+          handler?.(...args)
+          const details = watcher.check()
+          if (details) finish({ met: true, details })
+        }
+        emitter.on(event, fn)
+        listeners.push([emitter, event, fn])
+      }
+
+      const timer = setTimeout(() => finish({ met: false, details: { reason: 'timeout' } }), waitMs)
+      const onEnd = () => finish({ met: false, details: { reason: 'disconnected' } })
+      const onAbort = () => finish({ met: false, details: { reason: 'cancelled' } })
+
+      const finish = (value) => {
+        clearTimeout(timer)
+        for (const [emitter, event, fn] of listeners) emitter.off(event, fn)
+        bot.off('end', onEnd)
+        signal?.removeEventListener('abort', onAbort)
+        resolve(value)
+      }
+
+      for (const [event, handler] of Object.entries(watcher.events || {})) listen(bot, event, handler)
+      for (const [kind, handler] of Object.entries(watcher.localEvents || {})) listen(this.botEvents, kind, handler)
+      bot.once('end', onEnd)
+      signal?.addEventListener('abort', onAbort)
+    })
+
+    if (outcome.details.reason === 'disconnected') {
+      return error(`Bot disconnected while waiting for ${condition.type}`)
+    }
+    return result(outcome.met, outcome.details)
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Lock tools - get_lock_status
+ *
+ * Physical tools (movement, digging, crafting, containers...) share one lock
+ * per bot; see utils/physicalLock.js. This shows who holds it and who waits.
+ */
+
+import { json } from '../utils/helpers.js'
+
+export const tools = [
+  {
+    name: 'get_lock_status',
+    description: 'Show which physical action currently holds the bot (tool, MCP session, priority, how long) and which calls are queued waiting for it.',
+    inputSchema: { type: 'object', properties: {} }
+  }
+]
+
+export function registerHandlers(mcp) {
+  mcp.handlers['get_lock_status'] = () => mcp.getLockStatus()
+}
+
+export function registerMethods(mcp) {
+  mcp.getLockStatus = function() {
+    return json({
+      bot_id: this.botId,
+      ...this.physicalLock.status()
+    })
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Map tools - get_area_map
+ *
+ * Renders the loaded world around a point as a top-down grid: the highest
+ * solid block of each column (skipping grass, flowers, torches...) drawn as
+ * a surface type or a height band, with the bot, players, hostile mobs and
+ * containers marked on top. North (-Z) is up, east (+X) is right.
+ */
+
+import { error } from '../utils/helpers.js'
+import { HOSTILE_MOBS } from 'haksnbot-guts'
+
+const DEFAULT_RADIUS = 24
+const MAX_RADIUS = 64
+const YIELD_EVERY_COLUMNS = 256
+
+// Surface categories, checked in order against the block name
+const SURFACES = [
+  { key: 'water', char: '~', color: '#3f76e4', match: /water|kelp|seagrass|bubble_column/ },
+  { key: 'lava', char: '&', color: '#e25822', match: /lava|magma/ },
+  { key: 'tree', char: '^', color: '#2e7d32', match: /leaves|_log$|_wood$|mangrove_roots|bamboo|cactus/ },
+  { key: 'snow', char: '*', color: '#f0f4f8', match: /snow|ice/ },
+  { key: 'sand', char: ':', color: '#dbcf8e', match: /sand|gravel|clay|red_sandstone/ },
+  { key: 'soil', char: '.', color: '#7cb342', match: /grass_block|dirt|podzol|mycelium|farmland|mud|moss|nylium|soul_soil/ },
+  { key: 'built', char: '=', color: '#a1887f', match: /planks|brick|glass|wool|concrete|terracotta|slab|stairs|fence|wall|door|trapdoor|_block$|bookshelf|crafting_table|furnace|lantern/ },
+  { key: 'rock', char: '#', color: '#8d8d8d', match: /stone|deepslate|andesite|diorite|granite|tuff|calcite|basalt|blackstone|netherrack|end_stone|ore|bedrock|obsidian/ },
+  { key: 'other', char: '+', color: '#b0a070', match: /.*/ }
+]
+
+const MARKERS = {
+  bot: { char: '@', color: '#ffeb3b' },
+  player: { char: 'P', color: '#00e5ff' },
+  hostile: { char: 'H', color: '#ff1744' },
+  container: { char: 'C', color: '#8d6e63' }
+}
+
+const CONTAINER_PATTERN = /chest|barrel|shulker_box|hopper|dispenser|dropper/
+
+const UNLOADED = { char: ' ', color: '#000000' }
+
+// Height bands for mode=height: digits 0 (lowest) .. 9 (highest)
+const HEIGHT_BANDS = 10
+
+export const tools = [
+  {
+    name: 'get_area_map',
+    description: 'Top-down map of the loaded world around a point: surface block type (or height) per column, with the bot (@), players (P), hostile mobs (H) and containers (C) marked. North is up. Returns compact ASCII with a legend, or a PNG image.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        x: { type: 'number', description: 'Center X (default: bot position)' },
+        z: { type: 'number', description: 'Center Z (default: bot position)' },
+        radius: { type: 'number', description: `Blocks from center to edge (default ${DEFAULT_RADIUS}, max ${MAX_RADIUS})` },
+        mode: { type: 'string', enum: ['surface', 'height'], description: 'surface: block types (default); height: relative height bands 0-9' },
+        format: { type: 'string', enum: ['ascii', 'png'], description: 'ascii (default) or png image' },
+        ceiling: { type: 'number', description: 'Only look at blocks at or below this Y, e.g. just above your head to map a cave or the Nether (default: world top; bot Y + 4 in the Nether)' },
+        scale: { type: 'number', description: 'png: pixels per block (default 6)' }
+      }
+    }
+  }
+]
+
+export function registerHandlers(mcp) {
+  mcp.handlers['get_area_map'] = async (args, session, signal) => mcp.getAreaMap(args, signal)
+}
+
+export function registerMethods(mcp, Vec3) {
+  mcp.getAreaMap = async function({ x, z, radius = DEFAULT_RADIUS, mode = 'surface', format = 'ascii', ceiling, scale = 6 } = {}, signal) {
+    this.requireBot()
+    const bot = this.bot
+
+    const botPos = bot.entity.position.floored()
+    const cx = Math.floor(x ?? botPos.x)
+    const cz = Math.floor(z ?? botPos.z)
+    const r = Math.max(1, Math.min(Math.floor(radius), MAX_RADIUS))
+
+    const minY = bot.game.minY ?? 0
+    const worldTop = minY + (bot.game.height ?? 256) - 1
+    const inNether = /nether/.test(bot.game.dimension)
+    const top = Math.min(Math.floor(ceiling ?? (inNether ? botPos.y + 4 : worldTop)), worldTop)
+
+    const size = r * 2 + 1
+    const grid = []  // grid[row][col] = { surface, y } | null (unloaded)
+    const cursor = new Vec3(0, 0, 0)
+    let scanned = 0
+
+    for (let row = 0; row < size; row++) {
+      const cells = []
+      for (let col = 0; col < size; col++) {
+        cursor.x = cx - r + col
+        cursor.z = cz - r + row
+
+        scanned++
+        if (scanned % YIELD_EVERY_COLUMNS === 0) {
+          // Let keepalives through on big maps
+          await new Promise(resolve => setImmediate(resolve))
+          if (signal?.aborted) return error('get_area_map cancelled')
+        }
+
+        cursor.y = top
+        if (!bot.world.getColumnAt(cursor)) {
+          cells.push(null)
+          continue
+        }
+
+        let found = null
+        for (let y = top; y >= minY; y--) {
+          cursor.y = y
+          const block = this.mcData.blocksByStateId[bot.world.getBlockStateId(cursor)]
+          if (!block || block.name.endsWith('air')) continue
+          // See through plants, torches, rails...; but not water and lava
+          if (block.boundingBox === 'empty' && !/water|lava/.test(block.name)) continue
+          found = { surface: SURFACES.find(s => s.match.test(block.name)), y }
+          break
+        }
+        cells.push(found)
+      }
+      grid.push(cells)
+    }
+
+    // Overlays, lowest precedence first
+    const overlay = new Map()  // "row,col" -> marker key
+    // Returns whether pos falls on the map
+    const mark = (pos, key) => {
+      const col = Math.floor(pos.x) - (cx - r)
+      const row = Math.floor(pos.z) - (cz - r)
+      if (row < 0 || row >= size || col < 0 || col >= size) return false
+      overlay.set(`${row},${col}`, key)
+      return true
+    }
+
+    const containerIds = Object.values(this.mcData.blocksByName)
+      .filter(b => CONTAINER_PATTERN.test(b.name))
+      .map(b => b.id)
+    const containers = bot.findBlocks({
+      point: new Vec3(cx, botPos.y, cz),
+      matching: containerIds,
+      maxDistance: r * 1.5,
+      count: 500
+    }).filter(p => p.y <= top && mark(p, 'container'))
+
+    let hostileCount = 0
+    let playerCount = 0
+    for (const e of Object.values(bot.entities)) {
+      if (e === bot.entity) continue
+      if (e.type === 'player') {
+        if (mark(e.position, 'player')) playerCount++
+      } else if (e.type === 'hostile' || (e.name && HOSTILE_MOBS.has(e.name))) {
+        if (mark(e.position, 'hostile')) hostileCount++
+      }
+    }
+    mark(botPos, 'bot')
+
+    // Height bands over the loaded columns
+    const heights = grid.flat().filter(Boolean).map(c => c.y)
+    const lowY = heights.length ? Math.min(...heights) : 0
+    const highY = heights.length ? Math.max(...heights) : 0
+    const bandOf = (y) => highY === lowY ? 0 : Math.min(HEIGHT_BANDS - 1, Math.floor((y - lowY) / (highY - lowY + 1) * HEIGHT_BANDS))
+
+    const info = {
+      center: { x: cx, z: cz },
+      bounds: { x: [cx - r, cx + r], z: [cz - r, cz + r] },
+      ceiling: top,
+      surface_y: { min: lowY, max: highY },
+      mode,
+      counts: { players: playerCount, hostiles: hostileCount, containers: containers.length }
+    }
+
+    if (format === 'png') {
+      return this.renderAreaMapPng(grid, overlay, { info, scale, mode, bandOf })
+    }
+
+    const usedSurfaces = new Set()
+    const usedMarkers = new Set()
+    const lines = grid.map((cells, row) => cells.map((cell, col) => {
+      const marker = overlay.get(`${row},${col}`)
+      if (marker) {
+        usedMarkers.add(marker)
+        return MARKERS[marker].char
+      }
+      if (!cell) return UNLOADED.char
+      if (mode === 'height') return String(bandOf(cell.y))
+      usedSurfaces.add(cell.surface.key)
+      return cell.surface.char
+    }).join(''))
+
+    const legend = [
+      ...Object.entries(MARKERS).filter(([key]) => usedMarkers.has(key)).map(([key, m]) => `${m.char} ${key}`),
+      ...(mode === 'height'
+        ? [`0-9 height band, 0 = y${lowY} .. 9 = y${highY}`]
+        : SURFACES.filter(s => usedSurfaces.has(s.key)).map(s => `${s.char} ${s.key}`)),
+      ...(grid.some(cells => cells.includes(null)) ? ["' ' unloaded"] : [])
+    ]
+
+    return {
+      content: [
+        { type: 'text', text: JSON.stringify({ ...info, legend }, null, 2) },
+        { type: 'text', text: lines.join('\n') }
+      ]
+    }
+  }
+
+  mcp.renderAreaMapPng = async function(grid, overlay, { info, scale, mode, bandOf }) {
+    let createCanvas
+    try {
+      ({ createCanvas } = await import('canvas'))
+    } catch (err) {
+      return error(`PNG output needs the canvas package: ${err.message}`)
+    }
+
+    const px = Math.max(1, Math.min(Math.floor(scale), 16))
+    const size = grid.length
+    const canvas = createCanvas(size * px, size * px)
+    const g = canvas.getContext('2d')
+
+    grid.forEach((cells, row) => cells.forEach((cell, col) => {
+      if (!cell) {
+        g.fillStyle = UNLOADED.color
+      } else if (mode === 'height') {
+        const shade = Math.round(40 + bandOf(cell.y) * (215 / (HEIGHT_BANDS - 1)))
+        g.fillStyle = `rgb(${shade},${shade},${shade})`
+      } else {
+        g.fillStyle = cell.surface.color
+      }
+      g.fillRect(col * px, row * px, px, px)
+    }))
+
+    for (const [key, marker] of overlay) {
+      const [row, col] = key.split(',').map(Number)
+      g.fillStyle = MARKERS[marker].color
+      g.beginPath()
+      g.arc(col * px + px / 2, row * px + px / 2, Math.max(px * 0.6, 2), 0, Math.PI * 2)
+      g.fill()
+    }
+
+    const legend = {
+      markers: Object.fromEntries(Object.entries(MARKERS).map(([key, m]) => [key, m.color])),
+      ...(mode === 'height'
+        ? { height: `dark = y${info.surface_y.min}, light = y${info.surface_y.max}` }
+        : { surfaces: Object.fromEntries(SURFACES.map(s => [s.key, s.color])) })
+    }
+
+    return {
+      content: [
+        { type: 'text', text: JSON.stringify({ ...info, pixels_per_block: px, legend }, null, 2) },
+        { type: 'image', data: canvas.toBuffer('image/png').toString('base64'), mimeType: 'image/png' }
+      ]
+    }
+  }
+}
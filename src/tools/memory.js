@@ -0,0 +1,325 @@
+/**
+ * World memory tools - recall_locations, remember_location, forget_location
+ *
+ * While connected, each bot periodically sweeps its surroundings into the
+ * world memory database (see utils/worldMemory.js): notable blocks, containers,
+ * beds, signs and villagers. open_container adds the container's contents and
+ * read_sign its text. Agents query it with recall_locations, which keeps
+ * working after reconnects and restarts.
+ */
+
+import { json, error } from '../utils/helpers.js'
+import { LOCATION_KINDS } from '../utils/worldMemory.js'
+
+const SWEEP_INTERVAL_MS = 15000
+const SWEEP_RADIUS = 32
+// Blocks are re-swept when the bot has moved this far, or after BLOCK_SWEEP_MS
+const SWEEP_MOVE_BLOCKS = 8
+const BLOCK_SWEEP_MS = 120000
+
+// Block kinds recorded by the sweep, checked in order against the block name
+const MEMORY_BLOCKS = [
+  { kind: 'bed', match: /_bed$/ },
+  { kind: 'sign', match: /sign$/ },
+  // Not ender chests: their contents are per player, so not worth recalling
+  { kind: 'container', match: /(?<!ender_)chest$|^barrel$|shulker_box$/ },
+  { kind: 'block', match: /^(spawner|trial_spawner|(deepslate_)?diamond_ore|(deepslate_)?emerald_ore|ancient_debris|crafting_table|enchanting_table|smithing_table|(chipped_|damaged_)?anvil|beacon|conduit|respawn_anchor|lodestone|end_portal_frame|bell)$/ }
+]
+
+const memoryKindOf = (name) => MEMORY_BLOCKS.find(b => b.match.test(name))?.kind
+
+const positionKey = (pos) => `${Math.floor(pos.x)},${Math.floor(pos.y)},${Math.floor(pos.z)}`
+
+export const tools = [
+  {
+    name: 'recall_locations',
+    description: `Look up places remembered across reconnects and restarts on the current server and dimension. Kinds: block (spawners, diamond/emerald ore, ancient debris, crafting/enchanting tables, anvils, beacons...), container (with last-known contents from open_container), bed, sign (with text), villager (with profession), poi (named with remember_location). Nearest first when near is given (default: bot position).`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        kind: { type: 'string', enum: LOCATION_KINDS, description: 'Only this kind (default: all)' },
+        name: { type: 'string', description: 'Name contains this: block name, villager profession or POI name' },
+        item: { type: 'string', description: 'Only containers last seen holding this item, e.g. diamond' },
+        near: {
+          type: 'object',
+          properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            z: { type: 'number' }
+          },
+          description: 'Sort by distance from here (default: bot position)'
+        },
+        radius: { type: 'number', description: 'Only within this many blocks of near' },
+        limit: { type: 'number', description: 'Max results (default 20)' },
+        server: { type: 'string', description: 'Server key to look in (default: current, see summary)' },
+        dimension: { type: 'string', description: 'Dimension to look in, e.g. overworld, the_nether (default: current)' },
+        summary: { type: 'boolean', description: 'Instead of locations, return counts per kind here and per server/dimension' }
+      }
+    }
+  },
+  {
+    name: 'remember_location',
+    description: 'Save a named point of interest (e.g. "base", "iron farm") on the current server and dimension. Defaults to the bot position. Saving an existing name moves it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Name of the place' },
+        x: { type: 'number', description: 'X coordinate (default: bot position)' },
+        y: { type: 'number', description: 'Y coordinate (default: bot position)' },
+        z: { type: 'number', description: 'Z coordinate (default: bot position)' },
+        note: { type: 'string', description: 'Optional note, e.g. what is there' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'forget_location',
+    description: 'Remove a remembered location: a POI by name, or any other kind by its coordinates.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        kind: { type: 'string', enum: LOCATION_KINDS, description: 'Kind of location (default poi)' },
+        name: { type: 'string', description: 'poi: the name' },
+        x: { type: 'number', description: 'Other kinds: X coordinate' },
+        y: { type: 'number', description: 'Other kinds: Y coordinate' },
+        z: { type: 'number', description: 'Other kinds: Z coordinate' }
+      }
+    }
+  }
+]
+
+export function registerHandlers(mcp) {
+  mcp.handlers['recall_locations'] = (args) => mcp.recallLocations(args)
+  mcp.handlers['remember_location'] = (args) => mcp.rememberLocation(args)
+  mcp.handlers['forget_location'] = (args) => mcp.forgetLocation(args)
+}
+
+export function registerMethods(mcp, Vec3) {
+  // Where observations from this bot are filed: { server, dimension }, or
+  // null while that isn't known (not spawned, between proxy backends)
+  mcp.worldMemoryScope = function() {
+    const bot = this.bot
+    if (!bot?.game?.dimension || !this.connectArgs) return null
+
+    const proxy = this.proxy
+    if (proxy.transferring || proxy.switching) return null
+    if (this.behindProxy() && !proxy.isSettled()) return null
+
+    const { host, port } = this.connectArgs
+    return {
+      server: `${host}:${port}${proxy.current ? `/${proxy.current}` : ''}`,
+      dimension: String(bot.game.dimension).replace(/^minecraft:/, '')
+    }
+  }
+
+  // Record an observation from a tool (open_container, read_sign...).
+  // Memory is best-effort: failures are logged, never surfaced to the tool.
+  mcp.remember = function(location) {
+    if (!this.worldMemory) return
+    const scope = this.worldMemoryScope()
+    if (!scope) return
+    try {
+      this.worldMemory.record(scope, location)
+    } catch (err) {
+      console.error(`[Memory] ${this.botId}: failed to record ${location.kind} ${location.key}: ${err.message}`)
+    }
+  }
+
+  // Record an opened container with its contents, totalled per item
+  mcp.rememberContainer = function(block, x, y, z, items) {
+    if (block.name === 'ender_chest') return  // per-player contents
+    const totals = new Map()
+    for (const item of items) totals.set(item.name, (totals.get(item.name) || 0) + item.count)
+    this.remember({
+      kind: 'container',
+      key: positionKey({ x, y, z }),
+      name: block.name,
+      x,
+      y,
+      z,
+      data: {
+        contents: [...totals].map(([name, count]) => ({ name, count })),
+        contents_seen: new Date().toISOString()
+      }
+    })
+  }
+
+  // Start sweeping a freshly created bot's surroundings. Called from connect().
+  mcp.attachWorldMemory = function(bot) {
+    if (!this.worldMemory) return
+
+    let timer = null
+    bot.once('spawn', () => {
+      this.memorySweep = null
+      timer = setInterval(() => {
+        if (this.bot !== bot) return
+        try {
+          this.sweepWorldMemory()
+        } catch (err) {
+          console.error(`[Memory] ${this.botId}: sweep failed: ${err.message}`)
+        }
+      }, SWEEP_INTERVAL_MS)
+    })
+    bot.once('end', () => clearInterval(timer))
+  }
+
+  mcp.sweepWorldMemory = function() {
+    const bot = this.bot
+    const scope = this.worldMemoryScope()
+    if (!scope || !bot.entity) return
+
+    const pos = bot.entity.position
+    const observations = []
+
+    for (const entity of Object.values(bot.entities)) {
+      if (entity === bot.entity || !entity.position) continue
+      if (entity.name !== 'villager' && entity.name !== 'wandering_trader') continue
+      if (entity.position.distanceTo(pos) > SWEEP_RADIUS) continue
+      const { type, profession, level } = this.getVillagerInfo(entity)
+      observations.push({
+        kind: 'villager',
+        key: entity.uuid || `entity:${entity.id}`,
+        name: profession,
+        ...entity.position,
+        data: { type, level }
+      })
+    }
+
+    // Blocks don't move; only re-sweep them when the bot has
+    const last = this.memorySweep
+    if (!last || last.dimension !== scope.dimension || last.pos.distanceTo(pos) >= SWEEP_MOVE_BLOCKS ||
+        Date.now() - last.at >= BLOCK_SWEEP_MS) {
+      this.memorySweep = { pos: pos.clone(), dimension: scope.dimension, at: Date.now() }
+
+      const ids = this.mcData.blocksArray.filter(b => memoryKindOf(b.name)).map(b => b.id)
+      const seen = new Set()
+      for (const p of bot.findBlocks({ matching: ids, maxDistance: SWEEP_RADIUS, count: 2000 })) {
+        const block = bot.blockAt(p)
+        const kind = block && memoryKindOf(block.name)
+        if (!kind) continue
+        // One entry per bed, at its head
+        if (kind === 'bed' && block.getProperties().part !== 'head') continue
+
+        const key = positionKey(p)
+        seen.add(`${kind}:${key}`)
+        const signText = kind === 'sign' ? this.parseSignText(block.blockEntity) : null
+        observations.push({ kind, key, name: block.name, x: p.x, y: p.y, z: p.z, ...(signText && { data: signText }) })
+      }
+
+      // Forget remembered blocks that have been broken or replaced.
+      // Unloaded ones are kept: we just can't see them right now.
+      for (const row of this.worldMemory.blocksNear(scope, pos.floored(), SWEEP_RADIUS)) {
+        if (seen.has(`${row.kind}:${row.key}`)) continue
+        const block = bot.blockAt(new Vec3(row.x, row.y, row.z))
+        if (block && block.name !== row.name) this.worldMemory.forget(scope, row.kind, row.key)
+      }
+    }
+
+    if (observations.length > 0) this.worldMemory.recordAll(scope, observations)
+  }
+
+  // Scope for queries: explicit server/dimension, else the bot's current one
+  const queryScope = (ctx, { server, dimension }) => {
+    const current = ctx.worldMemoryScope()
+    const scope = { server: server ?? current?.server, dimension: dimension ?? current?.dimension }
+    if (!scope.server || !scope.dimension) return null
+    return scope
+  }
+
+  mcp.recallLocations = function({ kind, name, item, near, radius, limit = 20, server, dimension, summary = false } = {}) {
+    if (!this.worldMemory) {
+      return error('World memory is disabled (MCP_WORLD_DB is empty, or the database could not be opened)')
+    }
+    if (kind && !LOCATION_KINDS.includes(kind)) {
+      return error(`Unknown kind "${kind}". Valid kinds: ${LOCATION_KINDS.join(', ')}`)
+    }
+
+    const scope = queryScope(this, { server, dimension })
+
+    if (summary) {
+      return json({
+        ...(scope && { scope, kinds: Object.fromEntries(this.worldMemory.summary(scope).map(r => [r.kind, r.count])) }),
+        all: this.worldMemory.summary()
+      })
+    }
+
+    if (!scope) {
+      return error('Current server/dimension unknown (bot not connected or between backends). Pass server and dimension, see summary=true.')
+    }
+
+    // Default to the bot position, if the bot is in the scope being queried
+    const current = this.worldMemoryScope()
+    const botHere = this.bot?.entity && current?.server === scope.server && current?.dimension === scope.dimension
+    const origin = near ?? (botHere ? this.bot.entity.position : null)
+    const locations = this.worldMemory.recall(scope, {
+      kind,
+      name,
+      item,
+      near: origin,
+      radius: origin ? radius : undefined,
+      limit: Math.max(1, Math.min(Math.floor(limit), 500))
+    })
+
+    return json({
+      ...scope,
+      ...(origin && { near: { x: Math.floor(origin.x), y: Math.floor(origin.y), z: Math.floor(origin.z) } }),
+      count: locations.length,
+      locations
+    })
+  }
+
+  mcp.rememberLocation = function({ name, x, y, z, note }) {
+    this.requireBot()
+    if (!this.worldMemory) {
+      return error('World memory is disabled (MCP_WORLD_DB is empty, or the database could not be opened)')
+    }
+    if (!name?.trim()) {
+      return error('name is required')
+    }
+
+    const scope = this.worldMemoryScope()
+    if (!scope) {
+      return error('Current server/dimension unknown (bot between backends); try again shortly')
+    }
+
+    const botPos = this.bot.entity.position
+    const pos = { x: Math.floor(x ?? botPos.x), y: Math.floor(y ?? botPos.y), z: Math.floor(z ?? botPos.z) }
+    this.worldMemory.record(scope, {
+      kind: 'poi',
+      key: name.trim().toLowerCase(),
+      name: name.trim(),
+      ...pos,
+      data: { note: note ?? null, saved_by: this.bot.username }
+    })
+
+    return json({ remembered: name.trim(), position: pos, ...scope })
+  }
+
+  mcp.forgetLocation = function({ kind = 'poi', name, x, y, z }) {
+    this.requireBot()
+    if (!this.worldMemory) {
+      return error('World memory is disabled (MCP_WORLD_DB is empty, or the database could not be opened)')
+    }
+
+    const scope = this.worldMemoryScope()
+    if (!scope) {
+      return error('Current server/dimension unknown (bot between backends); try again shortly')
+    }
+
+    let key
+    if (kind === 'poi') {
+      if (!name) return error('Pass the name of the POI to forget')
+      key = name.trim().toLowerCase()
+    } else if (kind === 'villager') {
+      return error('Villagers are remembered by UUID, not position, and cannot be forgotten individually')
+    } else {
+      if (x === undefined || y === undefined || z === undefined) return error(`Pass x, y and z of the ${kind} to forget`)
+      key = positionKey({ x, y, z })
+    }
+
+    if (!this.worldMemory.forget(scope, kind, key)) {
+      return error(`No ${kind} ${kind === 'poi' ? `named "${name}"` : `at ${key}`} is remembered here`)
+    }
+    return json({ forgotten: { kind, key }, ...scope })
+  }
+}
@@ -3,6 +3,7 @@
  */
 
 import { text, json, error, matchesEntityType } from '../utils/helpers.js'
+import { profileProperty } from '../utils/movementProfiles.js'
 
 export const tools = [
   {
@@ -12,7 +13,8 @@ export const tools = [
       type: 'object',
       properties: {
         entity_type: { type: 'string', description: 'Entity type to mount (horse, pig, boat, minecart). Omit to mount nearest rideable.' },
-        max_distance: { type: 'number', description: 'Max search distance', default: 32 }
+        max_distance: { type: 'number', description: 'Max search distance', default: 32 },
+        ...profileProperty
       }
     }
   },
@@ -24,12 +26,12 @@ export const tools = [
 ]
 
 export function registerHandlers(mcp) {
-  mcp.handlers['mount_entity'] = async (args) => mcp.mountEntity(args)
+  mcp.handlers['mount_entity'] = async (args, session, signal) => mcp.mountEntity(args, signal)
   mcp.handlers['dismount'] = () => mcp.dismount()
 }
 
 export function registerMethods(mcp, Vec3, Movements, goals) {
-  mcp.mountEntity = async function({ entity_type, max_distance = 32 }) {
+  mcp.mountEntity = async function({ entity_type, max_distance = 32, profile }, signal) {
     this.requireBot()
 
     const rideableTypes = ['horse', 'donkey', 'mule', 'pig', 'strider', 'boat', 'minecart', 'camel', 'llama', 'skeleton_horse', 'zombie_horse']
@@ -53,13 +55,13 @@ export function registerMethods(mcp, Vec3, Movements, goals) {
     // Move near if needed
     const distance = entity.position.distanceTo(this.bot.entity.position)
     if (distance > 3) {
-      const movements = new Movements(this.bot, this.mcData)
-      movements.canDig = false
-      this.bot.pathfinder.setMovements(movements)
+      this.bot.pathfinder.setMovements(this.createMovements(profile))
       await this.bot.pathfinder.goto(new goals.GoalNear(
         entity.position.x, entity.position.y, entity.position.z, 2
       ))
     }
+    // Cancelled while walking over: don't interact on arrival
+    if (signal?.aborted) return error('mount_entity cancelled')
 
     // Set up listener to capture GriefPrevention denial messages
     const denialMessages = []
@@ -1,53 +1,108 @@
 /**
- * Movement tools - move_to, move_near, follow_player, look_at, stop
+ * Movement tools - move_to, move_near, follow_player, plan_path, look_at, stop,
+ * set_movement_profile
  *
  * Both Mind and Body can call these. Body handles ambient movement;
  * Mind calls them for intentional navigation. Body defers when Mind
  * is actively directing movement (detected via narration tool_calls).
+ *
+ * Every pathfinding call takes its Movements from createMovements(), which
+ * applies a movement profile (see utils/movementProfiles.js): the call's
+ * profile argument, else the bot's default.
  */
 
-import { text, error } from '../utils/helpers.js'
+import { text, json, error } from '../utils/helpers.js'
+import { MOVEMENT_PROFILES, MOVEMENT_PROFILE_NAMES, applyMovementProfile, describeMovementProfile, profileProperty } from '../utils/movementProfiles.js'
+
+// wait: true - how long to wait for the outcome (seconds)
+const DEFAULT_WAIT_TIMEOUT_S = 120
+const MAX_WAIT_TIMEOUT_S = 900
+
+// follow_player with wait: how often to check whether the bot caught up
+// (the pathfinder never emits goal_reached for a moving goal)
+const FOLLOW_CHECK_MS = 250
+
+const waitProperties = {
+  wait: { type: 'boolean', description: 'Block until the bot arrives, finds no path, is stopped, or the timeout passes, and return the outcome (default false)', default: false },
+  timeout: { type: 'number', description: `With wait: seconds before giving up and stopping (default ${DEFAULT_WAIT_TIMEOUT_S}, max ${MAX_WAIT_TIMEOUT_S})` }
+}
+
+// plan_path: search time budget (seconds), as the pathfinder's thinkTimeout
+const DEFAULT_PLAN_TIMEOUT_S = 5
+const MAX_PLAN_TIMEOUT_S = 30
+
+// plan_path estimates: walking/sprinting speed (blocks/s) and seconds per
+// placed block (place and jump onto it)
+const WALK_SPEED = 4.317
+const SPRINT_SPEED = 5.612
+const PLACE_S = 0.5
+
+// plan_path: one coarse waypoint per this many blocks of path, at most MAX_PLAN_WAYPOINTS
+const PLAN_WAYPOINT_SPACING = 16
+const MAX_PLAN_WAYPOINTS = 50
 
 export const tools = [
   {
     name: 'move_to',
-    description: 'Move the bot to exact coordinates using pathfinding. Non-blocking.',
+    description: 'Move the bot to exact coordinates using pathfinding. Non-blocking unless wait is set.',
     inputSchema: {
       type: 'object',
       properties: {
         x: { type: 'number', description: 'X coordinate' },
         y: { type: 'number', description: 'Y coordinate' },
-        z: { type: 'number', description: 'Z coordinate' }
+        z: { type: 'number', description: 'Z coordinate' },
+        ...waitProperties,
+        ...profileProperty
       },
       required: ['x', 'y', 'z']
     }
   },
   {
     name: 'move_near',
-    description: 'Move within range of coordinates using pathfinding. Non-blocking.',
+    description: 'Move within range of coordinates using pathfinding. Non-blocking unless wait is set.',
     inputSchema: {
       type: 'object',
       properties: {
         x: { type: 'number', description: 'X coordinate' },
         y: { type: 'number', description: 'Y coordinate' },
         z: { type: 'number', description: 'Z coordinate' },
-        range: { type: 'number', description: 'How close to get (default 2)', default: 2 }
+        range: { type: 'number', description: 'How close to get (default 2)', default: 2 },
+        ...waitProperties,
+        ...profileProperty
       },
       required: ['x', 'y', 'z']
     }
   },
   {
     name: 'follow_player',
-    description: 'Follow a player at a set distance. Non-blocking.',
+    description: 'Follow a player at a set distance. Non-blocking unless wait is set, in which case it returns once the bot has caught up (and keeps following).',
     inputSchema: {
       type: 'object',
       properties: {
         username: { type: 'string', description: 'Player username' },
-        distance: { type: 'number', description: 'Follow distance (default 3)', default: 3 }
+        distance: { type: 'number', description: 'Follow distance (default 3)', default: 3 },
+        ...waitProperties,
+        ...profileProperty
       },
       required: ['username']
     }
   },
+  {
+    name: 'plan_path',
+    description: 'Check whether the bot could get to coordinates, without moving: runs the pathfinder search only and returns whether the goal is reachable, path length, estimated travel time, the blocks that would be broken or placed under the movement profile, and coarse waypoints along the way.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        x: { type: 'number', description: 'X coordinate' },
+        y: { type: 'number', description: 'Y coordinate' },
+        z: { type: 'number', description: 'Z coordinate' },
+        range: { type: 'number', description: 'How close counts as arrived, as in move_near (default 0: the exact block)', default: 0 },
+        timeout: { type: 'number', description: `Search time budget in seconds (default ${DEFAULT_PLAN_TIMEOUT_S}, max ${MAX_PLAN_TIMEOUT_S})` },
+        ...profileProperty
+      },
+      required: ['x', 'y', 'z']
+    }
+  },
   {
     name: 'look_at',
     description: 'Make the bot look at specific coordinates.',
@@ -65,24 +120,144 @@ export const tools = [
     name: 'stop',
     description: 'Stop all movement and pathfinding.',
     inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'set_movement_profile',
+    description: 'Set the bot\'s default movement profile, used by movement calls without a profile argument. Without a profile, shows the current default and what each profile allows (digging, scaffold blocks, avoided blocks, sprinting, parkour, max drop).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        profile: { type: 'string', enum: MOVEMENT_PROFILE_NAMES, description: 'New default profile (omit to just list)' }
+      }
+    }
   }
 ]
 
 export function registerHandlers(mcp) {
-  mcp.handlers['move_to'] = (args) => mcp.moveTo(args)
-  mcp.handlers['move_near'] = (args) => mcp.moveNear(args)
-  mcp.handlers['follow_player'] = (args) => mcp.followPlayer(args)
+  mcp.handlers['move_to'] = (args, session, signal) => mcp.moveTo(args, signal)
+  mcp.handlers['move_near'] = (args, session, signal) => mcp.moveNear(args, signal)
+  mcp.handlers['follow_player'] = (args, session, signal) => mcp.followPlayer(args, signal)
+  mcp.handlers['plan_path'] = (args, session, signal) => mcp.planPath(args, signal)
   mcp.handlers['look_at'] = (args) => mcp.lookAt(args)
   mcp.handlers['stop'] = () => mcp.stop()
+  mcp.handlers['set_movement_profile'] = (args) => mcp.setMovementProfile(args)
 }
 
 export function registerMethods(mcp, Vec3, Movements, goals) {
-  mcp.moveTo = function({ x, y, z }) {
+  // Movements for a pathfinding call. Throws on an unknown profile name.
+  mcp.createMovements = function(profile) {
+    const name = profile ?? this.movementProfile
+    const settings = MOVEMENT_PROFILES[name]
+    if (!settings) {
+      throw new Error(`Unknown movement profile "${name}". Profiles: ${MOVEMENT_PROFILE_NAMES.join(', ')}`)
+    }
+    return applyMovementProfile(new Movements(this.bot, this.mcData), settings, this.mcData)
+  }
+
+  /**
+   * Wait for the pathfinder to finish with a goal that was just set.
+   *
+   * @param {object} goal
+   * @param {object} opts
+   * @param {Function} opts.target   () => Vec3 the goal is about, for distance_remaining
+   * @param {number} [opts.range]    how close counts as arrived
+   * @param {boolean} [opts.follow]  moving goal: arrived = caught up, keep following
+   * @param {string} [opts.player]   followed player: leaving the server ends the wait
+   * @returns {Promise<object>} outcome: reached, no_path, stopped, replaced,
+   *   timeout, cancelled or disconnected, with distance and timing. Same
+   *   pathfinder events as wait_for_event's goal condition.
+   */
+  mcp.waitForGoal = function(goal, { target, range = 0, follow = false, player, timeout = DEFAULT_WAIT_TIMEOUT_S, signal }) {
+    const bot = this.bot
+    const started = Date.now()
+    const start = bot.entity.position.clone()
+    const waitMs = Math.min(Math.max(timeout, 0), MAX_WAIT_TIMEOUT_S) * 1000
+    let pathStatus = null
+
+    return new Promise((resolve) => {
+      let poll = null
+      let timer = null
+
+      const finish = (outcome, reason) => {
+        clearTimeout(timer)
+        clearInterval(poll)
+        bot.removeListener('goal_reached', onReached)
+        bot.removeListener('path_update', onPathUpdate)
+        bot.removeListener('path_stop', onStop)
+        bot.removeListener('goal_updated', onGoalUpdated)
+        bot.removeListener('end', onEnd)
+        bot.removeListener('playerLeft', onPlayerLeft)
+        signal?.removeEventListener('abort', onAbort)
+
+        const pos = bot.entity?.position
+        const goalPos = target()
+        resolve({
+          outcome,
+          ...(reason && { reason }),
+          ...(goalPos && { target: { x: Math.floor(goalPos.x), y: Math.floor(goalPos.y), z: Math.floor(goalPos.z) } }),
+          ...(range && { range }),
+          start: { x: Math.floor(start.x), y: Math.floor(start.y), z: Math.floor(start.z) },
+          ...(pos && { position: { x: Math.floor(pos.x), y: Math.floor(pos.y), z: Math.floor(pos.z) } }),
+          ...(pos && goalPos && { distance_remaining: Math.round(pos.distanceTo(goalPos) * 10) / 10 }),
+          ...(pos && { distance_travelled: Math.round(pos.distanceTo(start) * 10) / 10 }),
+          elapsed_ms: Date.now() - started,
+          ...(pathStatus && { path_status: pathStatus })
+        })
+      }
+
+      const onReached = () => finish('reached')
+      const onPathUpdate = (r) => {
+        pathStatus = r.status
+        if (r.status === 'noPath' || r.status === 'timeout') {
+          finish('no_path', r.status === 'noPath'
+            ? 'No path to the goal (blocked, or would need digging)'
+            : 'Path search timed out (goal too far or through unloaded chunks)')
+          bot.pathfinder.stop()
+        }
+      }
+      const onStop = () => finish('stopped', 'Pathfinding was stopped (stop tool or another action)')
+      const onGoalUpdated = (newGoal) => {
+        if (!newGoal) finish('stopped', 'The goal was cleared')
+        else if (newGoal !== goal) finish('replaced', 'Another goal was set')
+      }
+      const onEnd = () => finish('disconnected', 'Bot disconnected')
+      const onAbort = () => finish('cancelled', 'Call was cancelled or preempted')
+      // Nothing left to follow: stop rather than walk to where it was
+      const followedGone = (reason) => {
+        finish('stopped', reason)
+        bot.pathfinder.stop()
+      }
+      const onPlayerLeft = (left) => {
+        if (left.username === player) followedGone(`${player} left the server`)
+      }
+
+      bot.on('goal_reached', onReached)
+      bot.on('path_update', onPathUpdate)
+      bot.on('path_stop', onStop)
+      bot.on('goal_updated', onGoalUpdated)
+      bot.once('end', onEnd)
+      if (player) bot.on('playerLeft', onPlayerLeft)
+      signal?.addEventListener('abort', onAbort, { once: true })
+
+      timer = setTimeout(() => {
+        finish('timeout', `Did not arrive within ${waitMs / 1000}s; stopped`)
+        bot.pathfinder.stop()
+      }, waitMs)
+
+      if (follow) {
+        // GoalFollow.isValid() only checks the entity reference, which outlives
+        // the entity; mineflayer marks the entity itself invalid on despawn
+        poll = setInterval(() => {
+          if (goal.entity?.isValid === false) followedGone('The followed entity is gone (despawned or out of range)')
+          else if (goal.isEnd(bot.entity.position.floored())) finish('reached')
+        }, FOLLOW_CHECK_MS)
+      }
+    })
+  }
+
+  mcp.moveTo = async function({ x, y, z, wait = false, timeout, profile }, signal) {
     this.requireBot()
-    const movements = new Movements(this.bot, this.mcData)
-    movements.canDig = false  // Never break blocks while pathfinding
-    movements.canOpenDoors = true  // Allow navigating through doors
-    this.bot.pathfinder.setMovements(movements)
+    this.bot.pathfinder.setMovements(this.createMovements(profile))
 
     // Non-blocking: start pathfinding and return immediately
     const goal = new goals.GoalBlock(x, y, z)
@@ -91,40 +266,149 @@ export function registerMethods(mcp, Vec3, Movements, goals) {
     const pos = this.bot.entity.position
     const isMoving = this.bot.pathfinder.isMoving()
     console.error(`[moveTo] goal set to ${x},${y},${z} from ${Math.floor(pos.x)},${Math.floor(pos.y)},${Math.floor(pos.z)}, isMoving=${isMoving}, hasGoal=${!!this.bot.pathfinder.goal}`)
+
+    if (wait) {
+      const target = new Vec3(x, y, z)
+      return json(await this.waitForGoal(goal, { target: () => target, timeout, signal }))
+    }
     return text(`Moving from ${Math.floor(pos.x)}, ${Math.floor(pos.y)}, ${Math.floor(pos.z)} to ${x}, ${y}, ${z}. Use get_status to check progress or stop to cancel.`)
   }
 
-  mcp.moveNear = function({ x, y, z, range = 2 }) {
+  mcp.moveNear = async function({ x, y, z, range = 2, wait = false, timeout, profile }, signal) {
     this.requireBot()
-    const movements = new Movements(this.bot, this.mcData)
-    movements.canDig = false  // Never break blocks while pathfinding
-    movements.canOpenDoors = true  // Allow navigating through doors
-    this.bot.pathfinder.setMovements(movements)
+    this.bot.pathfinder.setMovements(this.createMovements(profile))
 
     // Non-blocking: start pathfinding and return immediately
     const goal = new goals.GoalNear(x, y, z, range)
     this.bot.pathfinder.setGoal(goal)
 
+    if (wait) {
+      const target = new Vec3(x, y, z)
+      return json(await this.waitForGoal(goal, { target: () => target, range, timeout, signal }))
+    }
+
     const pos = this.bot.entity.position
     return text(`Moving from ${Math.floor(pos.x)}, ${Math.floor(pos.y)}, ${Math.floor(pos.z)} toward ${x}, ${y}, ${z} (within ${range} blocks). Use get_status to check progress or stop to cancel.`)
   }
 
-  mcp.followPlayer = async function({ username, distance = 3 }) {
+  mcp.followPlayer = async function({ username, distance = 3, wait = false, timeout, profile }, signal) {
     this.requireBot()
     const player = this.bot.players[username]
     if (!player?.entity) {
       return error(`Player "${username}" not found or not in range`)
     }
 
-    const movements = new Movements(this.bot, this.mcData)
-    movements.canDig = false  // Never break blocks while pathfinding
-    movements.canOpenDoors = true  // Allow navigating through doors
-    this.bot.pathfinder.setMovements(movements)
-    this.bot.pathfinder.setGoal(new goals.GoalFollow(player.entity, distance), true)
+    this.bot.pathfinder.setMovements(this.createMovements(profile))
+    const goal = new goals.GoalFollow(player.entity, distance)
+    this.bot.pathfinder.setGoal(goal, true)
+
+    if (wait) {
+      const entity = player.entity
+      return json({
+        username,
+        ...await this.waitForGoal(goal, { target: () => entity.isValid === false ? null : entity.position, range: distance, follow: true, player: username, timeout, signal })
+      })
+    }
 
     return text(`Following ${username} at distance ${distance}. Use 'stop' to stop following.`)
   }
 
+  /**
+   * Search for a path without following it. Uses its own A* search
+   * (getPathFromTo), so a path the bot is currently following is untouched,
+   * and yields to the event loop between search slices.
+   */
+  mcp.planPath = async function({ x, y, z, range = 0, timeout = DEFAULT_PLAN_TIMEOUT_S, profile }, signal) {
+    this.requireBot()
+    const bot = this.bot
+    const profileName = profile ?? this.movementProfile
+    const movements = this.createMovements(profileName)
+    const goal = range > 0 ? new goals.GoalNear(x, y, z, range) : new goals.GoalBlock(x, y, z)
+    const searchMs = Math.min(Math.max(timeout, 0.1), MAX_PLAN_TIMEOUT_S) * 1000
+
+    const start = bot.entity.position.clone()
+    const search = bot.pathfinder.getPathFromTo(movements, start, goal, { timeout: searchMs })
+    let result = search.next().value.result
+    while (result.status === 'partial') {
+      await new Promise(resolve => setImmediate(resolve))
+      if (signal?.aborted) return error('plan_path cancelled')
+      result = search.next().value.result
+    }
+
+    const floor = (p) => ({ x: Math.floor(p.x), y: Math.floor(p.y), z: Math.floor(p.z) })
+    const target = new Vec3(x, y, z)
+
+    // Walk the path: length, coarse waypoints, and every block it changes
+    const toBreak = new Map()
+    const toPlace = new Map()
+    const waypoints = []
+    let length = 0
+    let previous = start
+    let sinceWaypoint = 0
+    let parkourJumps = 0
+    for (const move of result.path) {
+      const step = new Vec3(move.x, move.y, move.z).distanceTo(previous)
+      length += step
+      sinceWaypoint += step
+      previous = new Vec3(move.x, move.y, move.z)
+      if (move.parkour) parkourJumps++
+      for (const b of move.toBreak) toBreak.set(`${b.x},${b.y},${b.z}`, b)
+      for (const b of move.toPlace) toPlace.set(`${b.x},${b.y},${b.z}`, b)
+      if (sinceWaypoint >= PLAN_WAYPOINT_SPACING) {
+        waypoints.push(floor(move))
+        sinceWaypoint = 0
+      }
+    }
+    const end = result.path.length > 0 ? result.path[result.path.length - 1] : start
+    if (result.path.length > 0) waypoints.push(floor(end))
+    // Long paths: keep every nth so the list stays short, always ending at the end
+    const stride = Math.ceil(waypoints.length / MAX_PLAN_WAYPOINTS)
+    const coarse = waypoints.filter((w, i) => i % stride === stride - 1 || i === waypoints.length - 1)
+
+    const creative = bot.game.gameMode === 'creative'
+    let digSeconds = 0
+    const breaks = [...toBreak.values()].map(b => {
+      const block = bot.blockAt(new Vec3(b.x, b.y, b.z))
+      if (block && !creative) {
+        const tool = bot.pathfinder.bestHarvestTool(block)
+        digSeconds += block.digTime(tool?.type ?? null, false, false, false, tool?.enchants ?? [], bot.entity.effects) / 1000
+      }
+      return { ...floor(b), block: block?.name ?? 'unknown' }
+    })
+    const places = [...toPlace.values()].map(floor)
+
+    const settings = MOVEMENT_PROFILES[profileName]
+    const speed = settings.sprint ? SPRINT_SPEED : WALK_SPEED
+    const estimate = length / speed + digSeconds + places.length * PLACE_S
+
+    const reachable = result.status === 'success'
+    return json({
+      reachable,
+      // success: a full path; noPath: none exists with this profile;
+      // timeout: search gave up, the path shown is the closest it got
+      status: result.status,
+      profile: profileName,
+      start: floor(start),
+      goal: { ...floor(target), ...(range > 0 && { range }) },
+      ...(!reachable && result.path.length > 0 && {
+        closest: floor(end),
+        closest_distance: Math.round(new Vec3(end.x, end.y, end.z).distanceTo(target) * 10) / 10
+      }),
+      path_length: Math.round(length * 10) / 10,
+      straight_line: Math.round(start.distanceTo(target) * 10) / 10,
+      estimated_seconds: Math.round(estimate),
+      blocks_to_break: breaks,
+      blocks_to_place: places,
+      ...(places.length > 0 && { scaffold_blocks_available: movements.countScaffoldingItems() }),
+      ...(parkourJumps > 0 && { parkour_jumps: parkourJumps }),
+      waypoints: coarse,
+      search: {
+        time_ms: Math.round(result.time),
+        nodes_visited: result.visitedNodes
+      }
+    })
+  }
+
   mcp.lookAt = async function({ x, y, z }) {
     this.requireBot()
     await this.bot.lookAt(new Vec3(x, y, z))
@@ -133,7 +417,22 @@ export function registerMethods(mcp, Vec3, Movements, goals) {
 
   mcp.stop = function() {
     this.requireBot()
+    this.stopTravel('Stopped by stop')
     this.bot.pathfinder.stop()
     return text('Stopped')
   }
+
+  // Per bot context; applies from the next movement call
+  mcp.setMovementProfile = function({ profile } = {}) {
+    if (profile !== undefined) {
+      if (!MOVEMENT_PROFILES[profile]) {
+        return error(`Unknown movement profile "${profile}". Profiles: ${MOVEMENT_PROFILE_NAMES.join(', ')}`)
+      }
+      this.movementProfile = profile
+    }
+    return json({
+      default_profile: this.movementProfile,
+      profiles: MOVEMENT_PROFILE_NAMES.map(describeMovementProfile)
+    })
+  }
 }
@@ -3,8 +3,44 @@
  */
 
 import { text, json, error } from '../utils/helpers.js'
+import { parseBlockSpecs, readBlockTags, BLOCK_TAGS } from '../utils/blockMatch.js'
+import { findVisibleBlocks } from '../utils/visibility.js'
 import { FOOD_ITEMS, ARMOR_SLOT_NAMES, ARMOR_TIERS, HOSTILE_MOBS } from 'haksnbot-guts'
 
+// Largest radius for the visibility flood fill (scan_area, find_blocks visible_only)
+const VISIBLE_SCAN_MAX_RADIUS = 64
+
+// scan_area output modes and their default page sizes (entries, layers, blocks)
+const SCAN_SUMMARIES = ['type', 'layer', 'none']
+const SCAN_PAGE_SIZES = { type: 200, layer: 16, none: 200 }
+
+// How long a scan_area result is reused for paging through the same area
+const SCAN_CACHE_MS = 30000
+
+// Sheep wool colors, by the low 4 bits of the wool metadata byte
+const DYE_COLORS = ['white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray',
+  'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black']
+
+// mineflayer's entity.equipment slots
+const EQUIPMENT_SLOTS = ['main_hand', 'off_hand', 'feet', 'legs', 'chest', 'head']
+
+// Plain text of a custom name: a JSON text component string, a parsed
+// component, or an NBT compound (1.20.3+)
+function textOf(value) {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'string') {
+    try {
+      return textOf(JSON.parse(value))
+    } catch {
+      return value
+    }
+  }
+  if (Array.isArray(value)) return value.map(textOf).join('')
+  if (typeof value !== 'object') return String(value)
+  if (value.type && 'value' in value) return textOf(value.value)
+  return textOf(value.text ?? '') + textOf(value.extra ?? '')
+}
+
 export const tools = [
   {
     name: 'get_status',
@@ -31,39 +67,45 @@ export const tools = [
   },
   {
     name: 'scan_area',
-    description: 'Scan visible blocks in a cubic area, returns block counts by type. Only sees blocks visible from bot position (no x-ray).',
+    description: `Scan visible blocks in a cubic area. Only sees blocks visible from bot position (no x-ray). Returns block counts by type (default), counts per Y layer (top first), or the individual blocks nearest the center first; large results are paginated, and paging through the same area reuses the scan for ${SCAN_CACHE_MS / 1000}s.`,
     inputSchema: {
       type: 'object',
       properties: {
         x: { type: 'number', description: 'Center X' },
         y: { type: 'number', description: 'Center Y' },
         z: { type: 'number', description: 'Center Z' },
-        radius: { type: 'number', description: 'Scan radius (default 16)', default: 16 }
+        radius: { type: 'number', description: `Scan radius (default 16, max ${VISIBLE_SCAN_MAX_RADIUS})`, default: 16 },
+        summarize: { type: 'string', enum: SCAN_SUMMARIES, description: 'type: counts by block type (default); layer: counts per Y layer; none: individual block positions' },
+        page: { type: 'number', description: 'Page of the result, starting at 1 (default 1)' },
+        page_size: { type: 'number', description: `Entries per page (default: ${Object.entries(SCAN_PAGE_SIZES).map(([k, v]) => `${k} ${v}`).join(', ')})` }
       },
       required: ['x', 'y', 'z']
     }
   },
   {
     name: 'find_blocks',
-    description: 'Find nearest blocks of a specific type',
+    description: `Find nearest blocks matching one or more specs. A spec is a block name (oak_log), a block tag (any the server defines, e.g. #logs, #base_stone_overworld, plus ${Object.keys(BLOCK_TAGS).map(t => `#${t}`).join(', ')}), optionally with state predicates: wheat[age=7], #crops[age>=7], oak_door[open=false]. With visible_only, only blocks the bot can see are returned (no x-ray; search radius capped at ${VISIBLE_SCAN_MAX_RADIUS}).`,
     inputSchema: {
       type: 'object',
       properties: {
-        block_name: { type: 'string', description: 'Block name (e.g. diamond_ore, oak_log)' },
+        block_name: { type: 'string', description: 'A single block spec (e.g. diamond_ore, #logs, wheat[age=7])' },
+        blocks: { type: 'array', items: { type: 'string' }, description: 'Several block specs; a block matching any of them is returned' },
         max_distance: { type: 'number', description: 'Max search distance', default: 64 },
-        count: { type: 'number', description: 'Max results to return', default: 10 }
-      },
-      required: ['block_name']
+        count: { type: 'number', description: 'Max results to return', default: 10 },
+        visible_only: { type: 'boolean', description: 'Only blocks visible from the bot (default: false)', default: false }
+      }
     }
   },
   {
     name: 'get_nearby_entities',
-    description: 'Get entities (mobs, items, etc) within range',
+    description: 'Get entities (mobs, items, etc) within range, or one entity by entity_id. With details (always on for entity_id): dropped item name and count, custom name, baby, tamed and owner, sheep color and sheared, villager profession, and held/worn equipment.',
     inputSchema: {
       type: 'object',
       properties: {
         range: { type: 'number', description: 'Search range', default: 32 },
-        type: { type: 'string', description: 'Filter by entity type (optional)' }
+        type: { type: 'string', description: 'Filter by entity type (optional)' },
+        entity_id: { type: 'number', description: 'Look up this one entity, at any distance' },
+        details: { type: 'boolean', description: 'Include details decoded from entity metadata', default: false }
       }
     }
   },
@@ -83,13 +125,22 @@ export function registerHandlers(mcp) {
   mcp.handlers['get_status'] = () => mcp.getStatus()
   mcp.handlers['get_body_state'] = () => mcp.getBodyState()
   mcp.handlers['get_block_at'] = (args) => mcp.getBlockAt(args)
-  mcp.handlers['scan_area'] = (args) => mcp.scanArea(args)
-  mcp.handlers['find_blocks'] = (args) => mcp.findBlocks(args)
+  mcp.handlers['scan_area'] = (args, session, signal) => mcp.scanArea(args, signal)
+  mcp.handlers['find_blocks'] = (args, session, signal) => mcp.findBlocks(args, signal)
   mcp.handlers['get_nearby_entities'] = (args) => mcp.getNearbyEntities(args)
   mcp.handlers['get_nearby_players'] = (args) => mcp.getNearbyPlayers(args)
 }
 
 export function registerMethods(mcp, Vec3) {
+  // Keep the server's block tags for find_blocks. Called from connect(); the
+  // packet arrives during login, and again on every proxy backend transfer.
+  mcp.attachBlockTags = function(bot) {
+    this.blockTags = null
+    bot._client.on('tags', (packet) => {
+      this.blockTags = readBlockTags(packet)
+    })
+  }
+
   mcp.getStatus = function() {
     this.requireBot()
     const pos = this.bot.entity.position
@@ -117,6 +168,7 @@ export function registerMethods(mcp, Vec3) {
       if (g.z !== undefined) status.pathGoal.z = g.z
       if (g.rangeSq !== undefined) status.pathGoal.range = Math.round(Math.sqrt(g.rangeSq))
     }
+    if (this.travel) status.travel = this.describeTravel()
     return json(status)
   }
 
@@ -219,139 +271,172 @@ export function registerMethods(mcp, Vec3) {
     return json(result)
   }
 
-  mcp.scanArea = async function({ x, y, z, radius = 16 }) {
+  // Solid blocks within radius of (x, y, z) that are visible from the bot, as
+  // [{ pos: Vec3, stateId }]. The flood fill runs in a worker thread, see
+  // utils/visibility.js. Returns null if cancelled via signal.
+  mcp.findVisibleBlocks = async function({ x, y, z, radius }, signal) {
+    const visible = await findVisibleBlocks(this.bot, this.mcData, { x, y, z, radius }, signal)
+    if (!visible) return null
+    return visible.map(({ pos, stateId }) => ({ pos: new Vec3(pos.x, pos.y, pos.z), stateId }))
+  }
+
+  mcp.scanArea = async function({ x, y, z, radius = 16, summarize = 'type', page = 1, page_size }, signal) {
     this.requireBot()
 
-    // Cap radius to prevent event-loop stalls that cause keepalive timeouts
-    const cappedRadius = Math.min(radius, 16)
-    const blocks = {}
-
-    // Helper to get block key with properties
-    const getBlockKey = (block) => {
-      const properties = block.getProperties()
-      let key = block.name
-      if (properties && Object.keys(properties).length > 0) {
-        const propsStr = Object.entries(properties)
-          .map(([k, v]) => `${k}=${v}`)
-          .join(',')
-        key = `${block.name}[${propsStr}]`
-      }
-      return key
+    if (!SCAN_SUMMARIES.includes(summarize)) {
+      return error(`Unknown summarize mode "${summarize}". Valid modes: ${SCAN_SUMMARIES.join(', ')}`)
     }
 
-    // Helper to check if block is transparent (can see/move through)
-    const isTransparent = (block) => {
-      if (!block) return true
-      if (block.name === 'air' || block.name === 'cave_air' || block.name === 'void_air') return true
-      // Use mineflayer's transparent property if available
-      if (block.transparent) return true
-      return false
+    const cappedRadius = Math.max(1, Math.min(Math.floor(radius), VISIBLE_SCAN_MAX_RADIUS))
+    const center = { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) }
+
+    // Paging through a big scan shouldn't redo the flood fill for every page.
+    // The fill starts at the bot, so a move (or a new connection) invalidates it.
+    const eye = this.bot.entity.position.floored()
+    const scanKey = `${center.x},${center.y},${center.z},${cappedRadius}@${eye.x},${eye.y},${eye.z}`
+    let visible
+    const cached = this.lastVisibleScan
+    if (cached && cached.bot === this.bot && cached.key === scanKey && Date.now() - cached.at < SCAN_CACHE_MS) {
+      visible = cached.visible
+    } else {
+      visible = await this.findVisibleBlocks({ ...center, radius: cappedRadius }, signal)
+      if (!visible) return error('scan_area cancelled')
+      this.lastVisibleScan = { bot: this.bot, key: scanKey, at: Date.now(), visible }
     }
 
-    // Flood-fill visibility from bot position
-    // Only returns blocks that are visible (adjacent to reachable air)
-    const botPos = this.bot.entity.position.floored()
-    const visited = new Set()
-    const visibleBlockPositions = new Set()
-    const queue = [botPos]
-
-    // Define scan boundaries (cubic area around center)
-    const minX = x - cappedRadius, maxX = x + cappedRadius
-    const minY = y - cappedRadius, maxY = y + cappedRadius
-    const minZ = z - cappedRadius, maxZ = z + cappedRadius
-
-    // BFS flood-fill through transparent blocks
-    // Yield to event loop periodically to allow keepalive responses
-    let iterations = 0
-    const YIELD_EVERY = 500
-
-    while (queue.length > 0) {
-      const pos = queue.shift()
-      const key = `${pos.x},${pos.y},${pos.z}`
-
-      if (visited.has(key)) continue
-      visited.add(key)
-
-      iterations++
-      if (iterations % YIELD_EVERY === 0) {
-        // Yield to event loop so keepalive packets can be processed
-        await new Promise(resolve => setImmediate(resolve))
+    // Block key with properties, e.g. oak_stairs[facing=north,half=bottom,...],
+    // resolved once per block state
+    const keys = new Map()
+    const getBlockKey = ({ pos, stateId }) => {
+      if (keys.has(stateId)) return keys.get(stateId)
+      const block = this.bot.blockAt(pos)
+      let key = this.mcData.blocksByStateId[stateId]?.name ?? 'unknown'
+      if (block && block.stateId === stateId) {
+        const properties = block.getProperties()
+        if (properties && Object.keys(properties).length > 0) {
+          const propsStr = Object.entries(properties)
+            .map(([k, v]) => `${k}=${v}`)
+            .join(',')
+          key = `${block.name}[${propsStr}]`
+        }
       }
+      keys.set(stateId, key)
+      return key
+    }
 
-      const block = this.bot.blockAt(pos)
+    const size = Math.max(1, Math.floor(page_size ?? SCAN_PAGE_SIZES[summarize]))
+    const paginate = (items) => {
+      const pages = Math.max(1, Math.ceil(items.length / size))
+      const current = Math.max(1, Math.min(Math.floor(page), pages))
+      return {
+        page: current,
+        pages,
+        page_size: size,
+        items: items.slice((current - 1) * size, current * size)
+      }
+    }
 
-      if (isTransparent(block)) {
-        // This is a transparent block - explore neighbors
-        const offsets = [[1,0,0], [-1,0,0], [0,1,0], [0,-1,0], [0,0,1], [0,0,-1]]
-        for (const [ox, oy, oz] of offsets) {
-          const neighborPos = pos.offset(ox, oy, oz)
-          const neighborKey = `${neighborPos.x},${neighborPos.y},${neighborPos.z}`
-
-          if (visited.has(neighborKey)) continue
-
-          const neighborBlock = this.bot.blockAt(neighborPos)
-
-          if (isTransparent(neighborBlock)) {
-            // Continue flood-fill through transparent blocks
-            // But only queue if within extended bounds (allow some exploration outside scan area)
-            const extendedRadius = cappedRadius + 10 // Allow pathfinding from nearby
-            if (Math.abs(neighborPos.x - x) <= extendedRadius &&
-                Math.abs(neighborPos.y - y) <= extendedRadius &&
-                Math.abs(neighborPos.z - z) <= extendedRadius) {
-              queue.push(neighborPos)
-            }
-          } else if (neighborBlock) {
-            // Solid block adjacent to transparent - it's visible!
-            // Only record if within the actual scan area
-            if (neighborPos.x >= minX && neighborPos.x <= maxX &&
-                neighborPos.y >= minY && neighborPos.y <= maxY &&
-                neighborPos.z >= minZ && neighborPos.z <= maxZ) {
-              visibleBlockPositions.add(neighborKey)
-            }
-          }
-        }
+    const summary = {
+      center,
+      radius: cappedRadius,
+      summarize,
+      total_visible: visible.length,
+      ...(visible === cached?.visible && { cached_ms_ago: Date.now() - cached.at })
+    }
+
+    if (summarize === 'type') {
+      const counts = {}
+      for (const entry of visible) {
+        const key = getBlockKey(entry)
+        counts[key] = (counts[key] || 0) + 1
       }
+      const { items, ...paging } = paginate(Object.entries(counts).sort((a, b) => b[1] - a[1]))
+      return json({ ...summary, ...paging, blocks: Object.fromEntries(items) })
     }
 
-    // Count the visible blocks
-    for (const posKey of visibleBlockPositions) {
-      const [bx, by, bz] = posKey.split(',').map(Number)
-      const block = this.bot.blockAt(new Vec3(bx, by, bz))
-      if (block && block.name !== 'air' && block.name !== 'cave_air' && block.name !== 'void_air') {
-        const key = getBlockKey(block)
-        blocks[key] = (blocks[key] || 0) + 1
+    if (summarize === 'layer') {
+      const layers = new Map()  // y -> { key: count }
+      for (const entry of visible) {
+        if (!layers.has(entry.pos.y)) layers.set(entry.pos.y, {})
+        const counts = layers.get(entry.pos.y)
+        const key = getBlockKey(entry)
+        counts[key] = (counts[key] || 0) + 1
       }
+      // Top layer first
+      const sorted = [...layers.entries()]
+        .sort((a, b) => b[0] - a[0])
+        .map(([layerY, counts]) => ({
+          y: layerY,
+          total: Object.values(counts).reduce((sum, n) => sum + n, 0),
+          blocks: counts
+        }))
+      const { items, ...paging } = paginate(sorted)
+      return json({ ...summary, ...paging, layers: items })
     }
 
+    // summarize=none: individual blocks, nearest to the center first
+    const centerVec = new Vec3(center.x, center.y, center.z)
+    const sorted = [...visible].sort((a, b) => a.pos.distanceSquared(centerVec) - b.pos.distanceSquared(centerVec))
+    const { items, ...paging } = paginate(sorted)
     return json({
-      center: { x, y, z },
-      radius: cappedRadius,
-      blocks
+      ...summary,
+      ...paging,
+      blocks: items.map(entry => ({ x: entry.pos.x, y: entry.pos.y, z: entry.pos.z, block: getBlockKey(entry) }))
     })
   }
 
-  mcp.findBlocks = function({ block_name, max_distance = 64, count = 10 }) {
+  mcp.findBlocks = async function({ block_name, blocks, max_distance = 64, count = 10, visible_only = false }, signal) {
     this.requireBot()
-    const blockType = this.mcData.blocksByName[block_name]
-    if (!blockType) {
-      return error(`Unknown block type: ${block_name}`)
+
+    const specs = blocks?.length ? blocks : (block_name ? [block_name] : [])
+    if (specs.length === 0) {
+      return error('Pass block_name or blocks')
     }
 
-    const found = this.bot.findBlocks({
-      matching: blockType.id,
-      maxDistance: max_distance,
-      count
-    })
+    let matcher
+    try {
+      matcher = parseBlockSpecs(this.mcData, specs, this.blockTags)
+    } catch (err) {
+      return error(err.message)
+    }
+
+    const botPos = this.bot.entity.position
+    let found
+    let searchRadius = max_distance
+    if (visible_only) {
+      // Only blocks the bot can actually see, nearest first
+      searchRadius = Math.min(max_distance, VISIBLE_SCAN_MAX_RADIUS)
+      const center = botPos.floored()
+      const visible = await this.findVisibleBlocks({ x: center.x, y: center.y, z: center.z, radius: searchRadius }, signal)
+      if (!visible) return error('find_blocks cancelled')
+      found = visible
+        .map(entry => entry.pos)
+        .filter(pos => pos.distanceTo(botPos) <= searchRadius && matcher.test(this.bot.blockAt(pos)))
+        .sort((a, b) => a.distanceTo(botPos) - b.distanceTo(botPos))
+        .slice(0, count)
+    } else {
+      found = this.bot.findBlocks({
+        matching: matcher.ids,
+        // Checks state predicates on candidates from the palette search
+        useExtraInfo: (block) => matcher.test(block),
+        maxDistance: max_distance,
+        count
+      })
+    }
 
     return json({
-      block: block_name,
+      ...(block_name && !blocks?.length && { block: block_name }),
+      blocks: specs,
+      visible_only,
+      ...(visible_only && { search_radius: searchRadius }),
       found: found.map(pos => {
         const block = this.bot.blockAt(pos)
         const result = {
+          name: block?.name,
           x: pos.x,
           y: pos.y,
           z: pos.z,
-          distance: Math.floor(pos.distanceTo(this.bot.entity.position))
+          distance: Math.floor(pos.distanceTo(botPos))
         }
         // Include block state properties (e.g., age for crops)
         if (block) {
@@ -365,27 +450,101 @@ export function registerMethods(mcp, Vec3) {
     })
   }
 
-  mcp.getNearbyEntities = function({ range = 32, type }) {
-    this.requireBot()
-    let entities = Object.values(this.bot.entities)
-      .filter(e => e !== this.bot.entity)
-      .filter(e => e.position.distanceTo(this.bot.entity.position) <= range)
+  // Value of a named metadata field (minecraft-data metadataKeys), or undefined
+  // when this version's data doesn't name it
+  mcp.entityMetadata = function(entity, key) {
+    const keys = this.mcData.entitiesByName[entity.name]?.metadataKeys
+    const index = keys ? keys.indexOf(key) : -1
+    return index >= 0 ? entity.metadata?.[index] : undefined
+  }
 
-    if (type) {
-      entities = entities.filter(e => e.name === type || e.mobType === type)
+  // Details decoded from entity metadata; only fields that apply are set
+  mcp.getEntityDetails = function(entity) {
+    const details = {}
+
+    if (entity.name === 'item') {
+      const item = entity.getDroppedItem?.()
+      if (item) details.item = { name: item.name, count: item.count }
     }
 
-    return json(entities.map(e => ({
+    const customName = textOf(this.entityMetadata(entity, 'custom_name'))
+    if (customName) details.custom_name = customName
+
+    const baby = this.entityMetadata(entity, 'baby')
+    if (baby !== undefined) details.baby = !!baby
+
+    // Tameable flags: 0x04 = tamed, 0x01 = sitting
+    const tameFlags = this.entityMetadata(entity, 'flags')
+    const ownerUuid = this.entityMetadata(entity, 'owneruuid')
+    if (typeof tameFlags === 'number' && this.mcData.entitiesByName[entity.name]?.metadataKeys?.includes('owneruuid')) {
+      details.tamed = (tameFlags & 0x04) !== 0
+      details.sitting = (tameFlags & 0x01) !== 0
+      if (details.tamed && ownerUuid) {
+        const owner = Object.values(this.bot.players).find(p => p.uuid === ownerUuid)
+        details.owner = owner ? owner.username : ownerUuid
+      }
+    }
+
+    if (entity.name === 'sheep') {
+      const wool = this.entityMetadata(entity, 'wool')
+      if (typeof wool === 'number') {
+        details.color = DYE_COLORS[wool & 0x0F]
+        details.sheared = (wool & 0x10) !== 0
+      }
+    }
+
+    if (entity.name === 'villager' || entity.name === 'wandering_trader') {
+      const { profession, level } = this.getVillagerInfo(entity)
+      details.profession = profession
+      if (level) details.level = level
+    }
+
+    const equipment = {}
+    EQUIPMENT_SLOTS.forEach((slot, i) => {
+      const item = entity.equipment?.[i]
+      if (item) equipment[slot] = item.count > 1 ? { name: item.name, count: item.count } : item.name
+    })
+    if (Object.keys(equipment).length > 0) details.equipment = equipment
+
+    return details
+  }
+
+  mcp.getNearbyEntities = function({ range = 32, type, entity_id, details = false }) {
+    this.requireBot()
+    const botPos = this.bot.entity.position
+
+    const describe = (e, withDetails) => ({
+      entity_id: e.id,
       name: e.name || e.mobType || e.type,
       type: e.type,
+      ...(e.username && { username: e.username }),
       position: {
         x: Math.floor(e.position.x),
         y: Math.floor(e.position.y),
         z: Math.floor(e.position.z)
       },
-      distance: Math.floor(e.position.distanceTo(this.bot.entity.position)),
-      health: e.health
-    })).sort((a, b) => a.distance - b.distance))
+      distance: Math.floor(e.position.distanceTo(botPos)),
+      health: e.health,
+      ...(withDetails && this.getEntityDetails(e))
+    })
+
+    if (entity_id !== undefined) {
+      const entity = this.bot.entities[entity_id]
+      if (!entity || entity === this.bot.entity) {
+        return error(`No entity with ID ${entity_id} in view`)
+      }
+      return json(describe(entity, true))
+    }
+
+    let entities = Object.values(this.bot.entities)
+      .filter(e => e !== this.bot.entity)
+      .filter(e => e.position.distanceTo(botPos) <= range)
+
+    if (type) {
+      entities = entities.filter(e => e.name === type || e.mobType === type)
+    }
+
+    return json(entities.map(e => describe(e, details)).sort((a, b) => a.distance - b.distance))
   }
 
   mcp.getNearbyPlayers = function({ range = 100 }) {
@@ -0,0 +1,136 @@
+/**
+ * Player roster tools - get_online_players, get_player_history
+ *
+ * get_online_players reads the tab list (bot.players), so it covers everyone
+ * online whether or not they are in render distance. get_player_history is
+ * built from join/leave events while the bot is connected (see
+ * utils/playerHistory.js).
+ */
+
+import { json, error } from '../utils/helpers.js'
+
+const GAMEMODES = ['survival', 'creative', 'adventure', 'spectator']
+
+// Last known positions are sampled at most this often per player
+const POSITION_SAMPLE_MS = 1000
+
+// playerJoined events this soon after spawn are the initial tab list
+const INITIAL_LIST_MS = 2000
+
+export const tools = [
+  {
+    name: 'get_online_players',
+    description: 'Everyone on the tab list, regardless of distance: username, display name, ping, gamemode, and position/distance for players in render distance.',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'get_player_history',
+    description: 'Players seen online while the bot was connected: online now, first/last seen, current and recent sessions with durations, and last known position. Sessions already running when the bot joined (or still running when it left) are marked, since their true start (or end) is unknown.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        username: { type: 'string', description: 'Only this player (default: everyone seen)' },
+        sessions: { type: 'number', description: 'Recent finished sessions to include per player (default 5)' },
+        limit: { type: 'number', description: 'Max players, most recently seen first (default 50)' }
+      }
+    }
+  }
+]
+
+export function registerHandlers(mcp) {
+  mcp.handlers['get_online_players'] = () => mcp.getOnlinePlayers()
+  mcp.handlers['get_player_history'] = (args) => mcp.getPlayerHistory(args)
+}
+
+export function registerMethods(mcp) {
+  // Feed a freshly created bot's tab list changes into the history. Called from connect().
+  mcp.attachPlayerHistory = function(bot) {
+    const history = this.playerHistory
+    let spawnedAt = null
+    const sampledAt = new Map()  // username -> last position sample time
+
+    bot.once('spawn', () => { spawnedAt = Date.now() })
+
+    bot.on('playerJoined', (player) => {
+      if (player.username === bot.username) return
+      const initial = spawnedAt === null || Date.now() - spawnedAt < INITIAL_LIST_MS
+      history.join(player.username, player.uuid, Date.now(), initial)
+    })
+    bot.on('playerLeft', (player) => {
+      if (player.username === bot.username) return
+      if (player.entity) history.seenAt(player.username, player.entity.position, bot.game.dimension)
+      history.leave(player.username)
+    })
+    bot.on('entityMoved', (entity) => {
+      if (entity.type !== 'player' || !entity.username || entity === bot.entity) return
+      const now = Date.now()
+      if (now - (sampledAt.get(entity.username) || 0) < POSITION_SAMPLE_MS) return
+      sampledAt.set(entity.username, now)
+      history.seenAt(entity.username, entity.position, bot.game.dimension, now)
+    })
+    bot.once('end', () => history.botLeft())
+  }
+
+  mcp.getOnlinePlayers = function() {
+    this.requireBot()
+    const botPos = this.bot.entity.position
+
+    const players = Object.values(this.bot.players).map(p => {
+      const displayName = p.displayName?.toString()
+      return {
+        username: p.username,
+        ...(displayName && displayName !== p.username && { display_name: displayName }),
+        uuid: p.uuid,
+        ping: p.ping,
+        gamemode: GAMEMODES[p.gamemode] ?? p.gamemode,
+        is_bot: p.username === this.bot.username,
+        in_view: !!p.entity,
+        ...(p.entity && {
+          position: {
+            x: Math.floor(p.entity.position.x),
+            y: Math.floor(p.entity.position.y),
+            z: Math.floor(p.entity.position.z)
+          },
+          distance: Math.floor(p.entity.position.distanceTo(botPos))
+        })
+      }
+    }).sort((a, b) => a.username.localeCompare(b.username))
+
+    return json({ count: players.length, players })
+  }
+
+  // Works while disconnected too: the history outlives the connection
+  mcp.getPlayerHistory = function({ username, sessions = 5, limit = 50 } = {}) {
+    const history = this.playerHistory
+
+    // Refresh positions of players in view
+    for (const p of Object.values(this.bot?.players || {})) {
+      if (p.entity && p.username !== this.bot.username) {
+        history.seenAt(p.username, p.entity.position, this.bot.game.dimension)
+      }
+    }
+
+    const sessionLimit = Math.max(0, Math.floor(sessions))
+    if (username) {
+      const record = history.get(username)
+      if (!record) return error(`${username} has not been seen online while the bot was connected`)
+      return json(history.describe(record, Date.now(), sessionLimit))
+    }
+
+    // Online first, then most recently seen
+    const rank = (r) => r.online ? Number.MAX_SAFE_INTEGER : r.lastSeen
+    const players = history.all()
+      .sort((a, b) => rank(b) - rank(a))
+      .slice(0, Math.max(1, Math.floor(limit)))
+      .map(r => history.describe(r, Date.now(), sessionLimit))
+
+    return json({
+      count: players.length,
+      online: players.filter(p => p.online).length,
+      players
+    })
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * Proxy tools - get_current_server, list_servers, switch_server
+ *
+ * For bots connected through Velocity/BungeeCord. Which backend the bot is on
+ * is tracked by utils/proxyTracker.js; when the connection has an expected
+ * backend (profile "expectedServer" / MC_EXPECTED_SERVER) the bot is sent back
+ * there whenever the proxy drops it elsewhere (e.g. hub fallback after a
+ * backend restart), and physical tools are refused until it has returned.
+ */
+
+import { text, json, error } from '../utils/helpers.js'
+
+// How long to wait after a spawn before asking the proxy where we are, and
+// how often to ask again while it hasn't said (the tracker gives up after 20s)
+const PROBE_DELAY_MS = 1000
+const PROBE_RETRY_MS = 5000
+const PROBE_ATTEMPTS = 3
+const SWITCH_TIMEOUT_MS = 15000
+const RETURN_RETRY_MS = 10000
+const EXPIRE_CHECK_MS = 1000
+
+export const tools = [
+  {
+    name: 'get_current_server',
+    description: 'Get which proxy backend server (Velocity/BungeeCord) the bot is on, how that was determined (server_command, transfer, tab_header), and whether a transfer is in progress. Pass refresh to ask the proxy with /server first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        refresh: { type: 'boolean', description: 'Run /server and wait for the answer (default: false)' }
+      }
+    }
+  },
+  {
+    name: 'list_servers',
+    description: 'List the proxy\'s backend servers (from its /server output), the current one and the expected one the bot returns to.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        refresh: { type: 'boolean', description: 'Run /server to refresh the list (default: true)' }
+      }
+    }
+  },
+  {
+    name: 'switch_server',
+    description: 'Move the bot to another backend server through the proxy (/server <name>) and wait until the transfer completes. The new server becomes the expected backend the bot returns to if dropped, including after reconnects.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        server: { type: 'string', description: 'Backend server name' },
+        timeout: { type: 'number', description: 'Seconds to wait for the transfer (default: 15)' }
+      },
+      required: ['server']
+    }
+  }
+]
+
+export function registerHandlers(mcp) {
+  mcp.handlers['get_current_server'] = async (args) => mcp.getCurrentServer(args)
+  mcp.handlers['list_servers'] = async (args) => mcp.listServers(args)
+  mcp.handlers['switch_server'] = async (args, session, signal) => mcp.switchServer(args, signal)
+}
+
+export function registerMethods(mcp) {
+  // Hook a freshly created bot into the proxy tracker. Called from connect().
+  mcp.attachProxyTracking = function(bot) {
+    const proxy = this.proxy
+    proxy.reset()
+    proxy.removeAllListeners()
+
+    // A backend transfer is a fresh login packet on the same connection, or
+    // (BungeeCord, older proxies) a respawn into another dimension/world. A
+    // respawn after dying is neither, even when it changes dimension.
+    let logins = 0
+    let world = null
+    let dead = false
+    let transferred = false
+    const worldOf = (packet) => {
+      const state = packet.worldState ?? packet
+      return `${state.name ?? state.worldName ?? ''}|${JSON.stringify(state.dimension)}`
+    }
+    bot._client.on('login', (packet) => {
+      if (++logins > 1) transferred = true
+      world = worldOf(packet)
+    })
+    bot._client.on('respawn', (packet) => {
+      const next = worldOf(packet)
+      if (next !== world && !dead) transferred = true
+      world = next
+    })
+    bot.on('death', () => { dead = true })
+
+    let probeTimer = null
+    const probe = (attempt) => {
+      probeTimer = setTimeout(() => {
+        if (this.bot !== bot || proxy.isSettled()) return
+        bot.chat('/server')
+        if (attempt < PROBE_ATTEMPTS) probe(attempt + 1)
+      }, attempt === 1 ? PROBE_DELAY_MS : PROBE_RETRY_MS)
+    }
+    bot.on('spawn', () => {
+      dead = false
+      if (transferred) proxy.handleTransfer()
+      transferred = false
+      clearTimeout(probeTimer)
+      if (this.behindProxy() && !proxy.isSettled()) probe(1)
+    })
+
+    // Unanswered switches fail (and are retried below); unconfirmed transfers end
+    const expireTimer = setInterval(() => proxy.expire(), EXPIRE_CHECK_MS)
+    bot.once('end', () => {
+      clearInterval(expireTimer)
+      clearTimeout(probeTimer)
+    })
+
+    bot.on('message', (jsonMsg, position) => {
+      if (position === 'system') proxy.handleMessage(jsonMsg.toString())
+    })
+
+    // mineflayer's tablist plugin parses the header; read it once it has
+    bot._client.on('playerlist_header', () => {
+      setImmediate(() => proxy.handleTabHeader(bot.tablist?.header?.toString()))
+    })
+
+    proxy.on('change', ({ server, previous, source }) => {
+      console.error(`[Proxy] ${this.botId}: on backend ${server} (was ${previous || 'unknown'}, via ${source})`)
+      this.returnToExpectedServer()
+    })
+
+    proxy.on('unconfirmed', ({ previous }) => {
+      console.error(`[Proxy] ${this.botId}: transfer from ${previous || 'unknown'} never confirmed; backend unknown`)
+    })
+
+    // Expected backend still down (or the proxy never answered): keep trying to get back to it
+    proxy.on('failed', ({ server, reason }) => {
+      console.error(`[Proxy] ${this.botId}: switch to ${server} failed: ${reason}`)
+      setTimeout(() => {
+        if (this.bot === bot) this.returnToExpectedServer()
+      }, RETURN_RETRY_MS)
+    })
+  }
+
+  // Whether we know the bot is behind a proxy (and so probe with /server)
+  mcp.behindProxy = function() {
+    return !!(this.connectArgs?.expectedServer || process.env.MC_PROXY === 'true')
+  }
+
+  // Send the bot back to its expected backend if the proxy put it elsewhere
+  mcp.returnToExpectedServer = function() {
+    const expected = this.connectArgs?.expectedServer
+    const proxy = this.proxy
+    if (!expected || !this.bot || !proxy.current || proxy.switching) return
+    if (proxy.current === expected) return
+
+    console.error(`[Proxy] ${this.botId}: on ${proxy.current}, expected ${expected} — switching back`)
+    proxy.beginSwitch(expected, SWITCH_TIMEOUT_MS)
+    this.bot.chat(`/server ${expected}`)
+  }
+
+  // Why physical actions can't run right now, or null if the backend is fine.
+  // Unknown backend (no proxy, nothing learned yet) is not treated as wrong.
+  mcp.wrongBackendReason = function() {
+    const proxy = this.proxy
+    if (proxy.switching) {
+      return `Bot is switching to backend ${proxy.switching.target}; physical actions are paused until it arrives`
+    }
+    const expected = this.connectArgs?.expectedServer
+    if (!expected) return null
+    if (proxy.transferring) {
+      return `Bot is being transferred between backends (expected ${expected}); try again shortly`
+    }
+    if (proxy.current && proxy.current !== expected) {
+      return `Bot is on backend ${proxy.current}, not ${expected}; physical actions are refused until it is back`
+    }
+    return null
+  }
+
+  // Ask the proxy where we are; resolves once it answers or after timeoutMs
+  mcp.probeProxy = function(timeoutMs = 3000) {
+    const proxy = this.proxy
+    return new Promise((resolve) => {
+      const onChange = () => done()
+      const onMessage = (jsonMsg, position) => {
+        if (position === 'system' && /connected to|servers/i.test(jsonMsg.toString())) setImmediate(done)
+      }
+      const timer = setTimeout(() => done(), timeoutMs)
+      const done = () => {
+        clearTimeout(timer)
+        proxy.off('change', onChange)
+        this.bot?.off('message', onMessage)
+        resolve()
+      }
+      proxy.on('change', onChange)
+      this.bot.on('message', onMessage)
+      this.bot.chat('/server')
+    })
+  }
+
+  mcp.getCurrentServer = async function({ refresh = false } = {}) {
+    this.requireBot()
+    if (refresh) await this.probeProxy()
+
+    return json({
+      bot_id: this.botId,
+      ...this.proxy.status(),
+      expected: this.connectArgs?.expectedServer || null
+    })
+  }
+
+  mcp.listServers = async function({ refresh = true } = {}) {
+    this.requireBot()
+    if (refresh) await this.probeProxy()
+
+    const proxy = this.proxy
+    if (proxy.servers.length === 0) {
+      return error('No backend servers known. Is the bot behind a Velocity/BungeeCord proxy that allows /server?')
+    }
+    return json({
+      servers: proxy.servers,
+      current: proxy.current,
+      expected: this.connectArgs?.expectedServer || null,
+      updated_ms_ago: proxy.serversUpdatedAt ? Date.now() - proxy.serversUpdatedAt : null
+    })
+  }
+
+  mcp.switchServer = async function({ server, timeout = SWITCH_TIMEOUT_MS / 1000 }, signal) {
+    this.requireBot()
+    const proxy = this.proxy
+
+    if (proxy.current === server && !proxy.transferring) {
+      if (this.connectArgs) this.connectArgs.expectedServer = server
+      return text(`Already on ${server}`)
+    }
+
+    // Pin the target first so the auto-return doesn't bounce the bot straight back
+    const previousExpected = this.connectArgs?.expectedServer
+    if (this.connectArgs) this.connectArgs.expectedServer = server
+
+    const started = Date.now()
+    const outcome = await new Promise((resolve) => {
+      const onChange = ({ server: now }) => {
+        if (now === server) finish({ ok: true })
+      }
+      const onFailed = ({ reason }) => finish({ ok: false, reason })
+      const onAbort = () => finish({ ok: false, reason: 'cancelled' })
+      const timer = setTimeout(() => finish({ ok: false, reason: `no transfer after ${timeout}s` }), timeout * 1000)
+      const finish = (result) => {
+        clearTimeout(timer)
+        proxy.off('change', onChange)
+        proxy.off('failed', onFailed)
+        signal?.removeEventListener('abort', onAbort)
+        resolve(result)
+      }
+      proxy.on('change', onChange)
+      proxy.on('failed', onFailed)
+      signal?.addEventListener('abort', onAbort, { once: true })
+      proxy.beginSwitch(server, timeout * 1000)
+      this.bot.chat(`/server ${server}`)
+    })
+
+    if (!outcome.ok) {
+      if (proxy.switching?.target === server) proxy.switching = null
+      if (this.connectArgs) this.connectArgs.expectedServer = previousExpected
+      return error(`Failed to switch to ${server}: ${outcome.reason}`)
+    }
+
+    return text(`Switched to ${server} in ${((Date.now() - started) / 1000).toFixed(1)}s`)
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Sight tools - get_looking_at, can_see
+ *
+ * Raycasts from the bot's eyes through the loaded world (bot.world, the same
+ * block access scan_area reads) and against entity hitboxes. The building and
+ * container tools use explainUnreachable() to say why an action failed.
+ */
+
+import { json, error } from '../utils/helpers.js'
+
+// Interaction reach in blocks (survival / creative)
+const BLOCK_REACH = 4.5
+const CREATIVE_BLOCK_REACH = 5
+const ENTITY_REACH = 3
+
+const MAX_RAY_DISTANCE = 64
+
+// prismarine-world raycast face numbers
+const FACES = ['bottom', 'top', 'north', 'south', 'west', 'east']
+
+const round = (n) => Math.round(n * 100) / 100
+
+// Distance along the ray (origin + t * dir) to where it enters the box, or null
+function rayBoxDistance(origin, dir, min, max) {
+  let tNear = -Infinity
+  let tFar = Infinity
+  for (const axis of ['x', 'y', 'z']) {
+    if (Math.abs(dir[axis]) < 1e-9) {
+      if (origin[axis] < min[axis] || origin[axis] > max[axis]) return null
+      continue
+    }
+    let t1 = (min[axis] - origin[axis]) / dir[axis]
+    let t2 = (max[axis] - origin[axis]) / dir[axis]
+    if (t1 > t2) [t1, t2] = [t2, t1]
+    tNear = Math.max(tNear, t1)
+    tFar = Math.min(tFar, t2)
+    if (tNear > tFar) return null
+  }
+  if (tFar < 0) return null
+  return Math.max(tNear, 0)
+}
+
+export const tools = [
+  {
+    name: 'get_looking_at',
+    description: 'What is under the bot\'s crosshair: the block (with the face hit) or entity the bot is looking at, nearest first, and whether it is within reach.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        max_distance: { type: 'number', description: `How far to look (default: reach, max ${MAX_RAY_DISTANCE})` }
+      }
+    }
+  },
+  {
+    name: 'can_see',
+    description: 'Whether the bot has a clear line of sight from its eyes to a block (x, y, z) or an entity (entity_id). Reports the distance, whether it is within reach, and what is in the way if obstructed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        x: { type: 'number', description: 'Block X coordinate' },
+        y: { type: 'number', description: 'Block Y coordinate' },
+        z: { type: 'number', description: 'Block Z coordinate' },
+        entity_id: { type: 'number', description: 'Entity ID instead of a block' }
+      }
+    }
+  }
+]
+
+export function registerHandlers(mcp) {
+  mcp.handlers['get_looking_at'] = (args) => mcp.getLookingAt(args)
+  mcp.handlers['can_see'] = (args) => mcp.canSee(args)
+}
+
+export function registerMethods(mcp, Vec3) {
+  mcp.eyePosition = function() {
+    const entity = this.bot.entity
+    return entity.position.offset(0, entity.eyeHeight ?? 1.62, 0)
+  }
+
+  mcp.blockReach = function() {
+    return this.bot.game.gameMode === 'creative' ? CREATIVE_BLOCK_REACH : BLOCK_REACH
+  }
+
+  // First block with a collision shape along the ray: { block, face, point, distance } or null
+  mcp.raycastBlock = function(origin, dir, maxDistance) {
+    const block = this.bot.world.raycast(origin, dir, maxDistance)
+    if (!block) return null
+    const point = block.intersect
+    return {
+      block,
+      face: FACES[block.face] ?? null,
+      point,
+      distance: point ? point.distanceTo(origin) : block.position.offset(0.5, 0.5, 0.5).distanceTo(origin)
+    }
+  }
+
+  // Nearest entity whose hitbox the ray enters: { entity, distance } or null
+  mcp.raycastEntity = function(origin, dir, maxDistance) {
+    let nearest = null
+    for (const entity of Object.values(this.bot.entities)) {
+      if (entity === this.bot.entity || !entity.position) continue
+      if (entity.position.distanceTo(origin) > maxDistance + 4) continue
+      const half = (entity.width ?? 0.6) / 2
+      const min = entity.position.offset(-half, 0, -half)
+      const max = entity.position.offset(half, entity.height ?? 1.8, half)
+      const t = rayBoxDistance(origin, dir, min, max)
+      if (t !== null && t <= maxDistance && (!nearest || t < nearest.distance)) {
+        nearest = { entity, distance: t }
+      }
+    }
+    return nearest
+  }
+
+  /**
+   * Line of sight from the eyes to a block or entity. A block counts as
+   * visible when a ray to its center or to the center of a face turned
+   * towards the bot hits it first; an entity when a ray to its eyes, middle
+   * or feet reaches it unobstructed.
+   *
+   * @returns {{ visible, distance, within_reach, reach, obstructed_by? }}
+   */
+  mcp.lineOfSight = function(target) {
+    const eye = this.eyePosition()
+
+    let points
+    let reach
+    let isTarget
+    if (target.entity) {
+      const e = target.entity
+      const h = e.height ?? 1.8
+      points = [e.position.offset(0, h * 0.85, 0), e.position.offset(0, h / 2, 0), e.position.offset(0, 0.1, 0)]
+      reach = ENTITY_REACH
+      isTarget = null  // any block hit before the entity obstructs it
+    } else {
+      const pos = target.position.floored()
+      const center = pos.offset(0.5, 0.5, 0.5)
+      points = [center]
+      for (const [axis, offset] of [['x', 0.5], ['y', 0.5], ['z', 0.5]]) {
+        const side = eye[axis] < center[axis] ? -offset : offset
+        points.push(center.offset(axis === 'x' ? side * 0.98 : 0, axis === 'y' ? side * 0.98 : 0, axis === 'z' ? side * 0.98 : 0))
+      }
+      reach = this.blockReach()
+      isTarget = (block) => block.position.equals(pos)
+    }
+
+    let obstruction = null
+    let visible = false
+    for (const point of points) {
+      const distance = point.distanceTo(eye)
+      if (distance === 0) {
+        visible = true
+        break
+      }
+      const dir = point.minus(eye).scaled(1 / distance)
+      const hit = this.raycastBlock(eye, dir, distance)
+      if (!hit || (isTarget && isTarget(hit.block))) {
+        visible = true
+        break
+      }
+      obstruction ||= hit
+    }
+
+    const targetCenter = target.entity ? points[1] : points[0]
+    const distance = targetCenter.distanceTo(eye)
+    return {
+      visible,
+      distance: round(distance),
+      within_reach: distance <= reach,
+      reach,
+      ...(!visible && obstruction && {
+        obstructed_by: {
+          block: obstruction.block.name,
+          position: { x: obstruction.block.position.x, y: obstruction.block.position.y, z: obstruction.block.position.z },
+          see_through: !!obstruction.block.transparent
+        }
+      })
+    }
+  }
+
+  // Why the bot can't interact with the block at pos ("out of reach ..." or
+  // "obstructed by ..."), or null if it looks reachable
+  mcp.explainUnreachable = function(pos) {
+    const sight = this.lineOfSight({ position: new Vec3(pos.x, pos.y, pos.z) })
+    const reasons = []
+    if (!sight.within_reach) {
+      reasons.push(`out of reach (${sight.distance} blocks from the bot's eyes, reach ${sight.reach})`)
+    }
+    if (sight.obstructed_by) {
+      const { block, position } = sight.obstructed_by
+      reasons.push(`obstructed by ${block} at ${position.x}, ${position.y}, ${position.z}`)
+    }
+    return reasons.length > 0 ? reasons.join(' and ') : null
+  }
+
+  mcp.getLookingAt = function({ max_distance } = {}) {
+    this.requireBot()
+    const entity = this.bot.entity
+    const maxDistance = Math.min(max_distance ?? this.blockReach(), MAX_RAY_DISTANCE)
+
+    // mineflayer's view direction for yaw/pitch
+    const cosPitch = Math.cos(entity.pitch)
+    const dir = new Vec3(-Math.sin(entity.yaw) * cosPitch, Math.sin(entity.pitch), -Math.cos(entity.yaw) * cosPitch)
+    const eye = this.eyePosition()
+
+    const blockHit = this.raycastBlock(eye, dir, maxDistance)
+    const entityHit = this.raycastEntity(eye, dir, blockHit ? blockHit.distance : maxDistance)
+
+    const result = {
+      yaw: round(entity.yaw),
+      pitch: round(entity.pitch),
+      max_distance: maxDistance,
+      target: entityHit ? 'entity' : (blockHit ? 'block' : 'none')
+    }
+
+    if (blockHit) {
+      const { block, face, point, distance } = blockHit
+      result.block = {
+        name: block.name,
+        position: { x: block.position.x, y: block.position.y, z: block.position.z },
+        face,
+        ...(point && { hit: { x: round(point.x), y: round(point.y), z: round(point.z) } }),
+        properties: block.getProperties(),
+        distance: round(distance),
+        within_reach: distance <= this.blockReach()
+      }
+    }
+
+    if (entityHit) {
+      const e = entityHit.entity
+      result.entity = {
+        entity_id: e.id,
+        name: e.username || e.name || e.mobType || e.type,
+        type: e.type,
+        position: { x: round(e.position.x), y: round(e.position.y), z: round(e.position.z) },
+        distance: round(entityHit.distance),
+        within_reach: entityHit.distance <= ENTITY_REACH
+      }
+    }
+
+    return json(result)
+  }
+
+  mcp.canSee = function({ x, y, z, entity_id }) {
+    this.requireBot()
+
+    if (entity_id !== undefined) {
+      const entity = this.bot.entities[entity_id]
+      if (!entity || entity === this.bot.entity) {
+        return error(`No entity with ID ${entity_id} in view`)
+      }
+      return json({
+        entity_id,
+        name: entity.username || entity.name || entity.mobType || entity.type,
+        ...this.lineOfSight({ entity })
+      })
+    }
+
+    if (x === undefined || y === undefined || z === undefined) {
+      return error('Pass x, y and z, or entity_id')
+    }
+    const pos = new Vec3(x, y, z).floored()
+    const block = this.bot.blockAt(pos)
+    if (!block) {
+      return error(`Block at ${pos.x}, ${pos.y}, ${pos.z} is not loaded`)
+    }
+
+    return json({
+      block: block.name,
+      position: { x: pos.x, y: pos.y, z: pos.z },
+      ...this.lineOfSight({ position: pos })
+    })
+  }
+}
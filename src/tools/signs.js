@@ -114,6 +114,9 @@ export function registerMethods(mcp, Vec3) {
     }
 
     const signText = this.parseSignText(blockEntity)
+    if (signText) {
+      this.remember({ kind: 'sign', key: `${block.position.x},${block.position.y},${block.position.z}`, name: block.name, ...block.position, data: signText })
+    }
 
     return json({
       position: { x, y, z },
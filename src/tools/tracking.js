@@ -0,0 +1,159 @@
+/**
+ * Entity tracking tools - track_entity, untrack_entity, get_tracked_entities
+ *
+ * get_nearby_entities is a snapshot; tracked entities keep a short position
+ * history (see utils/entityTracker.js) so agents can tell whether a mob is
+ * approaching or a player is running away, and when something left view.
+ */
+
+import { json, error, matchesEntityType } from '../utils/helpers.js'
+
+const DEFAULT_HISTORY = 10
+
+export const tools = [
+  {
+    name: 'track_entity',
+    description: 'Start tracking an entity: keeps its recent positions so get_tracked_entities can report velocity, heading, whether it is approaching, first/last seen, and whether it died or left render distance. Pass entity_id (from get_nearby_entities), or entity_type / player to track the nearest match.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_id: { type: 'number', description: 'Entity ID to track' },
+        entity_type: { type: 'string', description: 'Track the nearest entity of this type, e.g. zombie, cow' },
+        player: { type: 'string', description: 'Track this player' },
+        max_distance: { type: 'number', description: 'With entity_type: search radius (default 32)', default: 32 }
+      }
+    }
+  },
+  {
+    name: 'untrack_entity',
+    description: 'Stop tracking an entity, or all tracked entities.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_id: { type: 'number', description: 'Entity ID to stop tracking' },
+        all: { type: 'boolean', description: 'Stop tracking everything' }
+      }
+    }
+  },
+  {
+    name: 'get_tracked_entities',
+    description: 'Report on tracked entities: position, distance, velocity (blocks/s), heading (0 = north), approach_speed (positive = coming closer), status (present or gone: died, out_of_range, despawned), first and last seen, and recent position history.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_id: { type: 'number', description: 'Only this entity (default: all tracked)' },
+        history: { type: 'number', description: `Recent positions to include per entity (default ${DEFAULT_HISTORY}, 0 for none)` },
+        include_gone: { type: 'boolean', description: 'Include entities that are no longer in view (default true)', default: true }
+      }
+    }
+  }
+]
+
+export function registerHandlers(mcp) {
+  mcp.handlers['track_entity'] = (args) => mcp.trackEntity(args)
+  mcp.handlers['untrack_entity'] = (args) => mcp.untrackEntity(args)
+  mcp.handlers['get_tracked_entities'] = (args) => mcp.getTrackedEntities(args)
+}
+
+export function registerMethods(mcp) {
+  // Feed a freshly created bot's entity events into the tracker. Called from connect().
+  mcp.attachEntityTracking = function(bot) {
+    const tracker = this.entityTracker
+    tracker.clear()
+
+    // A proxy backend transfer keeps the connection but starts a new world
+    // (a fresh login packet), whose entity ids overlap the old backend's
+    let logins = 0
+    bot.on('login', () => {
+      if (++logins > 1) tracker.clear()
+    })
+    this.proxy.on('change', ({ previous }) => {
+      if (previous) tracker.clear()
+    })
+
+    bot.on('entityMoved', (entity) => {
+      if (tracker.isTracked(entity.id)) tracker.sample(entity)
+    })
+    bot.on('entityDead', (entity) => {
+      if (tracker.isTracked(entity.id)) tracker.markGone(entity, 'died', entity.position.distanceTo(bot.entity.position))
+    })
+    bot.on('entityGone', (entity) => {
+      if (tracker.isTracked(entity.id)) tracker.markGone(entity, 'gone', entity.position.distanceTo(bot.entity.position))
+    })
+  }
+
+  mcp.trackEntity = function({ entity_id, entity_type, player, max_distance = 32 }) {
+    this.requireBot()
+    const bot = this.bot
+
+    let entity
+    if (entity_id !== undefined) {
+      entity = bot.entities[entity_id]
+      if (!entity) return error(`No entity with ID ${entity_id} in view`)
+    } else if (player) {
+      entity = Object.values(bot.players).find(p => p.username.toLowerCase() === player.toLowerCase())?.entity
+      if (!entity) return error(`Player ${player} is not in view`)
+    } else if (entity_type) {
+      entity = Object.values(bot.entities)
+        .filter(e => e !== bot.entity && matchesEntityType(e, entity_type))
+        .filter(e => e.position.distanceTo(bot.entity.position) <= max_distance)
+        .sort((a, b) => a.position.distanceTo(bot.entity.position) - b.position.distanceTo(bot.entity.position))[0]
+      if (!entity) return error(`No ${entity_type} within ${max_distance} blocks`)
+    } else {
+      return error('Pass entity_id, entity_type or player')
+    }
+
+    if (entity === bot.entity) {
+      return error('The bot cannot track itself')
+    }
+
+    let record
+    try {
+      record = this.entityTracker.track(entity)
+    } catch (err) {
+      return error(err.message)
+    }
+
+    return json({
+      tracking: true,
+      ...this.entityTracker.describe(record, entity, bot.entity.position, 0)
+    })
+  }
+
+  mcp.untrackEntity = function({ entity_id, all = false }) {
+    if (all) {
+      const count = this.entityTracker.all().length
+      this.entityTracker.clear()
+      return json({ untracked: count })
+    }
+    if (entity_id === undefined) {
+      return error('Pass entity_id, or all=true')
+    }
+    if (!this.entityTracker.untrack(entity_id)) {
+      return error(`Entity ${entity_id} is not tracked`)
+    }
+    return json({ untracked: 1, entity_id })
+  }
+
+  mcp.getTrackedEntities = function({ entity_id, history = DEFAULT_HISTORY, include_gone = true } = {}) {
+    this.requireBot()
+    const bot = this.bot
+    const tracker = this.entityTracker
+
+    let records = tracker.all()
+    if (entity_id !== undefined) {
+      const record = tracker.get(entity_id)
+      if (!record) return error(`Entity ${entity_id} is not tracked. Use track_entity first.`)
+      records = [record]
+    } else if (!include_gone) {
+      records = records.filter(r => !r.gone)
+    }
+
+    const limit = Math.max(0, Math.floor(history))
+    const entities = records
+      .map(r => tracker.describe(r, r.gone ? null : bot.entities[r.id] || null, bot.entity.position, limit))
+      .sort((a, b) => a.distance - b.distance)
+
+    return json({ count: entities.length, entities })
+  }
+}
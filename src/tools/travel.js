@@ -0,0 +1,263 @@
+/**
+ * Long-distance travel - travel_to
+ *
+ * A GoalBlock thousands of blocks away stalls: the pathfinder can only search
+ * loaded chunks. travel_to instead walks a series of short segments along the
+ * heading to the destination, each planned from where the bot is once the
+ * chunks ahead have loaded. A segment that can't be walked is retried on a
+ * detour heading; no progress for a while means the bot is stuck.
+ *
+ * Non-blocking like move_to: the trip runs in the background and reports
+ * through get_status (travel). stop, another movement goal, or a physical
+ * action ends it.
+ */
+
+import { text } from '../utils/helpers.js'
+import { profileProperty } from '../utils/movementProfiles.js'
+
+const DEFAULT_SEGMENT = 64
+const MIN_SEGMENT = 16
+const MAX_SEGMENT = 128
+
+// A segment is done within this many blocks of its end (terrain rarely allows exact)
+const SEGMENT_RANGE = 6
+
+// Seconds a single segment may take before it counts as failed
+const SEGMENT_TIMEOUT_S = 60
+
+// Headings to try, relative to the direct one, when a segment fails (degrees)
+const DETOURS = [45, -45, 90, -90, 135, -135]
+
+// Stuck: the distance left has not shrunk by STUCK_PROGRESS blocks in STUCK_MS
+const STUCK_PROGRESS = 4
+const STUCK_MS = 120000
+
+// After a failed segment, give chunks this long to load before re-planning
+const CHUNK_WAIT_MS = 2000
+
+const horizontal = (a, b) => Math.hypot(a.x - b.x, a.z - b.z)
+
+// Resolves after ms or on abort; the listener goes with the timer, since the
+// trip's signal outlives many sleeps
+const sleep = (ms, signal) => new Promise(resolve => {
+  const onAbort = () => {
+    clearTimeout(timer)
+    resolve()
+  }
+  const timer = setTimeout(() => {
+    signal.removeEventListener('abort', onAbort)
+    resolve()
+  }, ms)
+  signal.addEventListener('abort', onAbort, { once: true })
+})
+
+export const tools = [
+  {
+    name: 'travel_to',
+    description: 'Travel a long distance (hundreds or thousands of blocks) on foot, through chunks that are not loaded yet. Walks in segments along the heading, re-planning as chunks load and detouring around obstacles; gives up when stuck. Non-blocking: check progress with get_status (travel), cancel with stop. Omit y to arrive at any height.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        x: { type: 'number', description: 'Destination X' },
+        y: { type: 'number', description: 'Destination Y (optional)' },
+        z: { type: 'number', description: 'Destination Z' },
+        range: { type: 'number', description: 'How close to the destination counts as arrived (default 2)', default: 2 },
+        segment: { type: 'number', description: `Segment length in blocks (default ${DEFAULT_SEGMENT}, ${MIN_SEGMENT}-${MAX_SEGMENT})`, default: DEFAULT_SEGMENT },
+        ...profileProperty
+      },
+      required: ['x', 'z']
+    }
+  }
+]
+
+export function registerHandlers(mcp) {
+  mcp.handlers['travel_to'] = (args) => mcp.travelTo(args)
+}
+
+export function registerMethods(mcp, Vec3, goals) {
+  // End the trip in progress, if any. Called by stop and before other physical actions.
+  mcp.stopTravel = function(reason) {
+    if (this.travel?.status === 'traveling') this.travel.controller.abort(reason)
+  }
+
+  // Trip state as get_status reports it, or null if there never was one
+  mcp.describeTravel = function() {
+    const t = this.travel
+    if (!t) return null
+    const pos = this.bot?.entity?.position
+    const remaining = pos ? horizontal(pos, t.destination) : t.remaining
+    const elapsedS = ((t.endedAt ?? Date.now()) - t.startedAt) / 1000
+    const covered = t.total - remaining
+    const speed = elapsedS > 0 ? covered / elapsedS : 0
+    return {
+      status: t.status,
+      ...(t.reason && { reason: t.reason }),
+      destination: { x: t.destination.x, ...(t.y !== undefined && { y: t.y }), z: t.destination.z },
+      profile: t.profile,
+      distance_total: Math.round(t.total),
+      distance_remaining: Math.round(remaining),
+      progress_pct: t.total > 0 ? Math.max(0, Math.min(100, Math.round(covered / t.total * 100))) : 100,
+      elapsed_s: Math.round(elapsedS),
+      ...(t.status === 'traveling' && speed > 0.5 && { eta_s: Math.round(remaining / speed) }),
+      segments_completed: t.segments,
+      failed_segments: t.failures,
+      ...(t.current && t.status === 'traveling' && { current_segment: t.current }),
+      last_progress_s_ago: Math.round((Date.now() - t.lastProgressAt) / 1000)
+    }
+  }
+
+  mcp.travelTo = function({ x, y, z, range = 2, segment = DEFAULT_SEGMENT, profile }) {
+    this.requireBot()
+    const profileName = profile ?? this.movementProfile
+    this.createMovements(profileName)  // validate the profile before starting
+
+    this.stopTravel('Replaced by a new travel_to')
+    const bot = this.bot
+    const start = bot.entity.position.clone()
+    const destination = new Vec3(Math.floor(x), 0, Math.floor(z))
+    const total = horizontal(start, destination)
+
+    const travel = {
+      status: 'traveling',
+      reason: null,
+      destination,
+      y,
+      profile: profileName,
+      total,
+      remaining: total,
+      startedAt: Date.now(),
+      endedAt: null,
+      segments: 0,
+      failures: 0,
+      current: null,
+      lastProgressAt: Date.now(),
+      goal: null,  // the goal travel last set; any other goal replaces the trip
+      controller: new AbortController()
+    }
+    this.travel = travel
+
+    this.runTravel(bot, travel, {
+      range,
+      segment: Math.min(Math.max(segment, MIN_SEGMENT), MAX_SEGMENT)
+    }).catch(err => {
+      console.error(`[Travel] ${this.botId}: ${err.message}`)
+      if (travel.status === 'traveling') {
+        Object.assign(travel, { status: 'failed', reason: err.message, endedAt: Date.now() })
+      }
+    })
+
+    return text(`Traveling from ${Math.floor(start.x)}, ${Math.floor(start.y)}, ${Math.floor(start.z)} to ${Math.floor(x)}, ${y !== undefined ? `${Math.floor(y)}, ` : ''}${Math.floor(z)} (${Math.round(total)} blocks). Use get_status to check progress or stop to cancel.`)
+  }
+
+  mcp.runTravel = async function(bot, travel, { range, segment }) {
+    const { destination, controller } = travel
+    const signal = controller.signal
+
+    const end = (status, reason) => {
+      if (travel.status !== 'traveling') return
+      const remaining = bot.entity ? horizontal(bot.entity.position, destination) : travel.remaining
+      Object.assign(travel, { status, reason, endedAt: Date.now(), remaining })
+      if (status !== 'arrived') console.error(`[Travel] ${this.botId}: ${status}${reason ? ` - ${reason}` : ''}`)
+    }
+    signal.addEventListener('abort', () => end('stopped', typeof signal.reason === 'string' ? signal.reason : 'Stopped'), { once: true })
+
+    // Someone else set a goal (move_to, another tool's pathfinding): the trip is over
+    const onGoalUpdated = (goal) => {
+      if (!goal || goal === travel.goal) return
+      end('replaced', 'Another movement goal was set')
+      controller.abort()
+    }
+    const onEnd = () => end('disconnected', 'Bot disconnected')
+    bot.on('goal_updated', onGoalUpdated)
+    bot.once('end', onEnd)
+
+    try {
+      let best = travel.total
+      let detour = 0
+
+      while (travel.status === 'traveling') {
+        const pos = bot.entity.position
+        const remaining = horizontal(pos, destination)
+        if (remaining < best - STUCK_PROGRESS) {
+          best = remaining
+          travel.lastProgressAt = Date.now()
+        }
+        if (Date.now() - travel.lastProgressAt > STUCK_MS) {
+          end('stuck', `No progress in ${STUCK_MS / 1000}s, ${Math.round(remaining)} blocks from the destination`)
+          break
+        }
+
+        const destinationLoaded = !!bot.blockAt(new Vec3(destination.x, pos.y, destination.z))
+        const final = remaining <= segment && destinationLoaded
+
+        let goal
+        let target
+        if (final) {
+          goal = travel.y !== undefined
+            ? new goals.GoalNear(destination.x, travel.y, destination.z, range)
+            : new goals.GoalNearXZ(destination.x, destination.z, range)
+          target = () => new Vec3(destination.x, travel.y ?? bot.entity.position.y, destination.z)
+          travel.current = { final: true, target: { x: destination.x, z: destination.z } }
+        } else {
+          // Along the heading (or a detour from it), as far as the chunks ahead are loaded
+          const heading = Math.atan2(destination.z - pos.z, destination.x - pos.x) +
+            (detour > 0 ? DETOURS[detour - 1] * Math.PI / 180 : 0)
+          let length = Math.min(segment, remaining)
+          let segmentEnd
+          while (true) {
+            segmentEnd = new Vec3(Math.floor(pos.x + Math.cos(heading) * length), pos.y, Math.floor(pos.z + Math.sin(heading) * length))
+            if (bot.blockAt(segmentEnd) || length <= MIN_SEGMENT) break
+            length /= 2
+          }
+          goal = new goals.GoalNearXZ(segmentEnd.x, segmentEnd.z, SEGMENT_RANGE)
+          target = () => new Vec3(segmentEnd.x, bot.entity.position.y, segmentEnd.z)
+          travel.current = {
+            target: { x: segmentEnd.x, z: segmentEnd.z },
+            heading_deg: Math.round(((heading * 180 / Math.PI) % 360 + 360) % 360),
+            ...(detour > 0 && { detour_deg: DETOURS[detour - 1] })
+          }
+        }
+
+        travel.goal = goal
+        bot.pathfinder.setMovements(this.createMovements(travel.profile))
+        bot.pathfinder.setGoal(goal)
+        const outcome = await this.waitForGoal(goal, { target, timeout: SEGMENT_TIMEOUT_S, signal })
+
+        if (travel.status !== 'traveling') break
+        if (outcome.outcome === 'reached') {
+          if (final) {
+            end('arrived')
+            break
+          }
+          travel.segments++
+          detour = 0
+          continue
+        }
+        if (['stopped', 'replaced', 'cancelled', 'disconnected'].includes(outcome.outcome)) {
+          end(outcome.outcome === 'cancelled' ? 'stopped' : outcome.outcome, outcome.reason)
+          break
+        }
+
+        // no_path or timeout: wait for chunks, then try the next heading
+        travel.failures++
+        if (final && outcome.outcome === 'no_path' && travel.y !== undefined) {
+          end('unreachable', `${Math.round(remaining)} blocks away, but no path to ${destination.x}, ${travel.y}, ${destination.z} itself`)
+          break
+        }
+        detour = final ? 0 : detour + 1
+        if (detour > DETOURS.length) {
+          end('stuck', `No way forward on any heading, ${Math.round(remaining)} blocks from the destination`)
+          break
+        }
+        await sleep(CHUNK_WAIT_MS, signal)
+      }
+    } finally {
+      bot.removeListener('goal_updated', onGoalUpdated)
+      bot.removeListener('end', onEnd)
+      if (travel.status === 'traveling') end('stopped')
+      // Don't leave a segment goal behind (another tool's goal is left alone)
+      if (travel.goal && bot.pathfinder.goal === travel.goal) bot.pathfinder.stop()
+      travel.goal = null
+    }
+  }
+}
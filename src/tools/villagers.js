@@ -3,6 +3,7 @@
  */
 
 import { text, json, error, matchesEntityType } from '../utils/helpers.js'
+import { profileProperty } from '../utils/movementProfiles.js'
 
 export const tools = [
   {
@@ -23,7 +24,8 @@ export const tools = [
       type: 'object',
       properties: {
         entity_id: { type: 'number', description: 'Entity ID of the villager (from find_villagers). If omitted, uses nearest villager.' },
-        max_distance: { type: 'number', description: 'Max search distance if no entity_id provided', default: 32 }
+        max_distance: { type: 'number', description: 'Max search distance if no entity_id provided', default: 32 },
+        ...profileProperty
       }
     }
   },
@@ -48,7 +50,7 @@ export const tools = [
 
 export function registerHandlers(mcp) {
   mcp.handlers['find_villagers'] = (args) => mcp.findVillagers(args)
-  mcp.handlers['open_villager_trades'] = async (args) => mcp.openVillagerTrades(args)
+  mcp.handlers['open_villager_trades'] = async (args, session, signal) => mcp.openVillagerTrades(args, signal)
   mcp.handlers['trade_with_villager'] = async (args) => mcp.tradeWithVillager(args)
   mcp.handlers['close_villager_trades'] = () => mcp.closeVillagerTrades()
 }
@@ -75,6 +77,22 @@ export function registerMethods(mcp, Vec3, Movements, goals) {
     return professions[professionId] || 'unknown'
   }
 
+  // Type, profession and level of a villager or wandering trader entity
+  mcp.getVillagerInfo = function(entity) {
+    if (matchesEntityType(entity, 'wandering_trader')) {
+      return { type: 'wandering_trader', profession: 'wandering_trader', level: 0 }
+    }
+
+    // Villager data is in metadata index 18 (varies by version)
+    // Format: {villagerType, profession, level}
+    for (const meta of entity.metadata || []) {
+      if (meta && typeof meta === 'object' && meta.profession !== undefined) {
+        return { type: 'villager', profession: this.getVillagerProfessionName(meta.profession), level: meta.level || 0 }
+      }
+    }
+    return { type: 'villager', profession: 'unknown', level: 0 }
+  }
+
   mcp.findVillagers = function({ max_distance = 32, profession }) {
     this.requireBot()
 
@@ -90,24 +108,7 @@ export function registerMethods(mcp, Vec3, Movements, goals) {
       const isVillager = villagerTypes.some(t => matchesEntityType(entity, t))
       if (!isVillager) continue
 
-      // Get profession from entity metadata if available
-      let villagerProfession = 'unknown'
-      let villagerLevel = 0
-      const isWanderingTrader = matchesEntityType(entity, 'wandering_trader')
-
-      if (isWanderingTrader) {
-        villagerProfession = 'wandering_trader'
-      } else if (entity.metadata) {
-        // Villager data is in metadata index 18 (varies by version)
-        // Format: {villagerType, profession, level}
-        for (const meta of entity.metadata) {
-          if (meta && typeof meta === 'object' && meta.profession !== undefined) {
-            villagerProfession = this.getVillagerProfessionName(meta.profession)
-            villagerLevel = meta.level || 0
-            break
-          }
-        }
-      }
+      const { type, profession: villagerProfession, level: villagerLevel } = this.getVillagerInfo(entity)
 
       // Filter by profession if specified
       if (profession) {
@@ -120,7 +121,7 @@ export function registerMethods(mcp, Vec3, Movements, goals) {
 
       villagers.push({
         entity_id: entity.id,
-        type: isWanderingTrader ? 'wandering_trader' : 'villager',
+        type,
         profession: villagerProfession,
         level: villagerLevel,
         position: {
@@ -146,7 +147,7 @@ export function registerMethods(mcp, Vec3, Movements, goals) {
     })
   }
 
-  mcp.openVillagerTrades = async function({ entity_id, max_distance = 32 }) {
+  mcp.openVillagerTrades = async function({ entity_id, max_distance = 32, profile }, signal) {
     this.requireBot()
 
     // Close any existing villager window
@@ -191,13 +192,13 @@ export function registerMethods(mcp, Vec3, Movements, goals) {
     // Move near if needed
     const distance = entity.position.distanceTo(this.bot.entity.position)
     if (distance > 3) {
-      const movements = new Movements(this.bot, this.mcData)
-      movements.canDig = false
-      this.bot.pathfinder.setMovements(movements)
+      this.bot.pathfinder.setMovements(this.createMovements(profile))
       await this.bot.pathfinder.goto(new goals.GoalNear(
         entity.position.x, entity.position.y, entity.position.z, 2
       ))
     }
+    // Cancelled while walking over: don't interact on arrival
+    if (signal?.aborted) return error('open_villager_trades cancelled')
 
     // Open the villager trading window
     try {
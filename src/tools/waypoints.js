@@ -0,0 +1,179 @@
+/**
+ * Waypoint tools - set_waypoint, list_waypoints, delete_waypoint, go_to_waypoint
+ *
+ * Named navigation targets ("home", "farm", "shops") kept in the world memory
+ * database, per server and dimension, so they survive restarts. go_to_waypoint
+ * sets the same pathfinder goal as move_near, including its wait mode.
+ */
+
+import { json, text, error } from '../utils/helpers.js'
+import { profileProperty } from '../utils/movementProfiles.js'
+
+export const tools = [
+  {
+    name: 'set_waypoint',
+    description: 'Save a named waypoint on the current server and dimension (default: the bot position). Setting an existing name moves it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Waypoint name, e.g. home, farm (case-insensitive)' },
+        x: { type: 'number', description: 'X coordinate (default: bot position)' },
+        y: { type: 'number', description: 'Y coordinate (default: bot position)' },
+        z: { type: 'number', description: 'Z coordinate (default: bot position)' },
+        note: { type: 'string', description: 'Optional note, e.g. what is there. Moving a waypoint keeps its note unless a new one is given ("" clears it)' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'list_waypoints',
+    description: 'Waypoints on the current server, with distance from the bot for those in its dimension. Defaults to the current dimension.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dimension: { type: 'string', description: 'Dimension, e.g. overworld, the_nether, or "all" (default: current)' },
+        server: { type: 'string', description: 'Server key (default: current, see recall_locations summary)' }
+      }
+    }
+  },
+  {
+    name: 'delete_waypoint',
+    description: 'Delete a waypoint by name from the current server and dimension.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Waypoint name' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'go_to_waypoint',
+    description: 'Pathfind to a waypoint in the current dimension. Non-blocking unless wait is set, like move_near.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Waypoint name' },
+        range: { type: 'number', description: 'How close to get (default 1)', default: 1 },
+        wait: { type: 'boolean', description: 'Block until arrived, no path, stopped or timeout, and return the outcome (default false)', default: false },
+        timeout: { type: 'number', description: 'With wait: seconds before giving up and stopping (default 120, max 900)' },
+        ...profileProperty
+      },
+      required: ['name']
+    }
+  }
+]
+
+export function registerHandlers(mcp) {
+  mcp.handlers['set_waypoint'] = (args) => mcp.setWaypoint(args)
+  mcp.handlers['list_waypoints'] = (args) => mcp.listWaypoints(args)
+  mcp.handlers['delete_waypoint'] = (args) => mcp.deleteWaypoint(args)
+  mcp.handlers['go_to_waypoint'] = (args, session, signal) => mcp.goToWaypoint(args, signal)
+}
+
+export function registerMethods(mcp, Vec3) {
+  // Current { server, dimension }, or an error result to return
+  const waypointScope = (ctx) => {
+    if (!ctx.worldMemory) {
+      return { failure: error('Waypoints are stored in world memory, which is disabled (MCP_WORLD_DB is empty, or the database could not be opened)') }
+    }
+    const scope = ctx.worldMemoryScope()
+    if (!scope) {
+      return { failure: error('Current server/dimension unknown (bot between backends); try again shortly') }
+    }
+    return { scope }
+  }
+
+  // "Not here, but in the_nether" is more useful than just "not found"
+  const notFound = (ctx, scope, name) => {
+    const elsewhere = ctx.worldMemory.waypoints(scope.server, { name }).map(w => w.dimension)
+    return error(`No waypoint named "${name}" in ${scope.dimension}` +
+      (elsewhere.length > 0 ? ` (there is one in ${elsewhere.join(', ')})` : '. Use list_waypoints to see them.'))
+  }
+
+  mcp.setWaypoint = function({ name, x, y, z, note }) {
+    this.requireBot()
+    if (!name?.trim()) {
+      return error('name is required')
+    }
+    const { scope, failure } = waypointScope(this)
+    if (failure) return failure
+
+    const botPos = this.bot.entity.position
+    const pos = { x: Math.floor(x ?? botPos.x), y: Math.floor(y ?? botPos.y), z: Math.floor(z ?? botPos.z) }
+    const previous = this.worldMemory.setWaypoint(scope, { name, ...pos, note, createdBy: this.bot.username })
+
+    return json({
+      waypoint: name.trim(),
+      position: pos,
+      ...scope,
+      ...(previous && { moved_from: previous.position })
+    })
+  }
+
+  mcp.listWaypoints = function({ dimension, server } = {}) {
+    if (!this.worldMemory) {
+      return error('Waypoints are stored in world memory, which is disabled (MCP_WORLD_DB is empty, or the database could not be opened)')
+    }
+    const current = this.worldMemoryScope()
+    const scope = {
+      server: server ?? current?.server,
+      dimension: dimension === 'all' ? null : dimension ?? current?.dimension
+    }
+    if (!scope.server || scope.dimension === undefined) {
+      return error('Current server/dimension unknown (bot not connected or between backends). Pass server and dimension.')
+    }
+
+    // Distances only mean something in the bot's own dimension on this server
+    const botPos = this.bot?.entity?.position
+    const here = (w) => botPos && current?.server === scope.server && current?.dimension === w.dimension
+    const waypoints = this.worldMemory.waypoints(scope.server, { dimension: scope.dimension ?? undefined })
+      .map(w => here(w)
+        ? { ...w, distance: Math.floor(botPos.distanceTo(new Vec3(w.position.x, w.position.y, w.position.z))) }
+        : w)
+      .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity) || a.name.localeCompare(b.name))
+
+    return json({
+      server: scope.server,
+      dimension: scope.dimension ?? 'all',
+      count: waypoints.length,
+      waypoints
+    })
+  }
+
+  mcp.deleteWaypoint = function({ name }) {
+    this.requireBot()
+    const { scope, failure } = waypointScope(this)
+    if (failure) return failure
+
+    if (!this.worldMemory.deleteWaypoint(scope, name)) {
+      return notFound(this, scope, name)
+    }
+    return json({ deleted: name, ...scope })
+  }
+
+  mcp.goToWaypoint = async function({ name, range = 1, wait = false, timeout, profile }, signal) {
+    this.requireBot()
+    const { scope, failure } = waypointScope(this)
+    if (failure) return failure
+
+    const waypoint = this.worldMemory.getWaypoint(scope, name)
+    if (!waypoint) {
+      return notFound(this, scope, name)
+    }
+
+    const { x, y, z } = waypoint.position
+    await this.moveNear({ x, y, z, range, profile })
+
+    if (wait) {
+      const target = new Vec3(x, y, z)
+      return json({
+        waypoint: waypoint.name,
+        ...await this.waitForGoal(this.bot.pathfinder.goal, { target: () => target, range, timeout, signal })
+      })
+    }
+
+    const pos = this.bot.entity.position
+    return text(`Moving from ${Math.floor(pos.x)}, ${Math.floor(pos.y)}, ${Math.floor(pos.z)} to waypoint "${waypoint.name}" at ${x}, ${y}, ${z} (within ${range} blocks). Use get_status to check progress or stop to cancel.`)
+  }
+}
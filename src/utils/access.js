@@ -0,0 +1,80 @@
+/**
+ * Access control for the HTTP transport
+ *
+ * Maps bearer tokens to roles, and roles to the tools they may see and call.
+ * Loaded from the JSON file named by MCP_AUTH_FILE:
+ *
+ *   {
+ *     "roles": {
+ *       "body": { "allow": ["*"] },
+ *       "mind": { "allow": ["*"], "deny": ["attack_entity"] }
+ *     },
+ *     "tokens": {
+ *       "<long random token>": "body",
+ *       "<another token>": "mind"
+ *     }
+ *   }
+ *
+ * "allow" lists tool names ("*" = every tool); "deny" always wins over "allow".
+ */
+
+import fs from 'fs'
+import { timingSafeEqual } from 'node:crypto'
+
+/**
+ * Read and validate the access config.
+ * Returns null when no file is configured (transport stays open).
+ * Throws on a malformed file so the daemon never starts half-protected.
+ */
+export function loadAccessConfig(filePath) {
+  if (!filePath) return null
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  const roles = config.roles || {}
+  const tokens = config.tokens || {}
+
+  for (const [name, role] of Object.entries(roles)) {
+    if (!Array.isArray(role.allow)) {
+      throw new Error(`Access config: role "${name}" needs an "allow" list`)
+    }
+    if (role.deny !== undefined && !Array.isArray(role.deny)) {
+      throw new Error(`Access config: role "${name}" has a non-list "deny"`)
+    }
+  }
+  for (const roleName of Object.values(tokens)) {
+    if (!roles[roleName]) {
+      throw new Error(`Access config: token mapped to unknown role "${roleName}"`)
+    }
+  }
+  if (Object.keys(tokens).length === 0) {
+    throw new Error('Access config: no tokens defined')
+  }
+
+  return { roles, tokens }
+}
+
+// Resolve an Authorization header to a role name, or null if not authorized
+export function roleForAuthorization(access, header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '')
+  if (!match) return null
+
+  const presented = Buffer.from(match[1])
+  let role = null
+  // Compare against every token in constant time per token
+  for (const [token, roleName] of Object.entries(access.tokens)) {
+    const expected = Buffer.from(token)
+    if (expected.length === presented.length && timingSafeEqual(expected, presented)) {
+      role = roleName
+    }
+  }
+  return role
+}
+
+// Whether a role may see and call a tool. No access config or no role = unrestricted.
+export function isToolAllowed(access, roleName, toolName) {
+  if (!access || !roleName) return true
+  const role = access.roles[roleName]
+  if (!role) return false
+  if (role.deny?.includes(toolName)) return false
+  return role.allow.includes('*') || role.allow.includes(toolName)
+}
@@ -0,0 +1,82 @@
+/**
+ * Tool call audit log
+ *
+ * Appends one JSON line per tool call (who called what, with which arguments,
+ * how long it took and what came back) so an agent's decisions can be
+ * reviewed afterwards and replayed with replay.js. The file rotates when it
+ * grows past maxBytes: tool-calls.jsonl -> tool-calls.jsonl.1 -> ... .N
+ */
+
+import fs from 'fs'
+import path from 'path'
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024
+const DEFAULT_MAX_FILES = 5
+const DEFAULT_RESULT_CHARS = 2000
+
+// Flatten an MCP tool result to text for the log
+function resultText(result) {
+  return (result?.content || [])
+    .map(c => c.type === 'text' ? c.text : `[${c.type}${c.mimeType ? ` ${c.mimeType}` : ''}]`)
+    .join('\n')
+}
+
+export class AuditLog {
+  constructor({ file, maxBytes = DEFAULT_MAX_BYTES, maxFiles = DEFAULT_MAX_FILES, resultChars = DEFAULT_RESULT_CHARS }) {
+    this.file = file
+    this.maxBytes = maxBytes
+    this.maxFiles = maxFiles
+    this.resultChars = resultChars
+
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    try {
+      this.size = fs.statSync(file).size
+    } catch (e) {
+      this.size = 0
+    }
+  }
+
+  /**
+   * Record one finished tool call.
+   *
+   * @param {object} call
+   * @param {object} [call.session]   MCP session record ({ id, role })
+   * @param {string} call.tool
+   * @param {object} call.args        arguments as sent, including bot_id / lock_*
+   * @param {number} call.durationMs
+   * @param {object} call.result      MCP tool result
+   */
+  record({ session, tool, args, durationMs, result }) {
+    const full = resultText(result)
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      session: session?.id || null,
+      role: session?.role || null,
+      tool,
+      args: args || {},
+      duration_ms: durationMs,
+      is_error: !!result?.isError,
+      result: full.length > this.resultChars ? full.slice(0, this.resultChars) : full,
+      result_truncated: full.length > this.resultChars
+    }) + '\n'
+
+    try {
+      if (this.size + line.length > this.maxBytes) this._rotate()
+      // Synchronous so records stay in call order across rotations
+      fs.appendFileSync(this.file, line)
+      this.size += Buffer.byteLength(line)
+    } catch (err) {
+      console.error(`[Audit] Failed to write ${this.file}: ${err.message}`)
+    }
+  }
+
+  // Shift .1..N up by one; renaming onto .N drops the oldest file
+  _rotate() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.file}.${i}`
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${i + 1}`)
+    }
+    if (fs.existsSync(this.file)) fs.renameSync(this.file, `${this.file}.1`)
+    this.size = 0
+  }
+}
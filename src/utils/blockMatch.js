@@ -0,0 +1,127 @@
+/**
+ * Block specs for find_blocks
+ *
+ * A spec names blocks and optionally filters on their state:
+ *
+ *   oak_log                     one block
+ *   #logs                       a block tag
+ *   wheat[age=7]                state predicates: = != > >= < <=
+ *   #crops[age>=7]              tags take predicates too
+ *
+ * Tags come from the server's tags packet (the real registry tags, e.g.
+ * #logs, #base_stone_overworld). BLOCK_TAGS is the fallback, for tags vanilla
+ * doesn't have (#ores, #containers, #water) and for servers that sent none:
+ * name patterns that approximate the vanilla tags.
+ */
+
+export const BLOCK_TAGS = {
+  logs: /^(?!.*(melon|pumpkin|mushroom)_stem).*(_log|_wood|_stem|_hyphae)$/,
+  planks: /_planks$/,
+  leaves: /_leaves$/,
+  saplings: /_sapling$|_propagule$/,
+  ores: /_ore$|^ancient_debris$/,
+  crops: /^(wheat|carrots|potatoes|beetroots|nether_wart|cocoa|sweet_berry_bush|torchflower_crop|pitcher_crop|melon_stem|pumpkin_stem)$/,
+  flowers: /^(dandelion|poppy|blue_orchid|allium|azure_bluet|\w+_tulip|oxeye_daisy|cornflower|lily_of_the_valley|wither_rose|sunflower|lilac|rose_bush|peony|torchflower|pink_petals)$/,
+  beds: /_bed$/,
+  doors: /_door$/,
+  // Not ender chests: their contents are per player
+  containers: /(?<!ender_)chest$|^barrel$|shulker_box$|^hopper$|^dispenser$|^dropper$|furnace$|^smoker$|^brewing_stand$/,
+  wool: /_wool$/,
+  stone: /^(stone|cobblestone|deepslate|cobbled_deepslate|andesite|diorite|granite|tuff|blackstone|netherrack)$/,
+  dirt: /^(dirt|grass_block|podzol|mycelium|coarse_dirt|rooted_dirt|mud|moss_block)$/,
+  sand: /^(sand|red_sand|suspicious_sand)$/,
+  water: /^(water|bubble_column)$/,
+  lava: /^lava$/
+}
+
+/**
+ * Block tags from a tags packet, by name without the minecraft: namespace.
+ * Before 1.17 the packet has blockTags; from 1.17 a list per registry.
+ *
+ * @returns {Map<string, number[]>} tag name -> block ids
+ */
+export function readBlockTags(packet) {
+  const list = packet.blockTags ??
+    packet.tags?.find(t => t.tagType.replace(/^minecraft:/, '') === 'block')?.tags ?? []
+  return new Map(list.map(t => [t.tagName.replace(/^minecraft:/, ''), t.entries]))
+}
+
+const PREDICATE = /^(\w+)\s*(!=|>=|<=|=|>|<)\s*(.+)$/
+
+function parsePredicate(str) {
+  const match = PREDICATE.exec(str.trim())
+  if (!match) throw new Error(`Invalid state predicate "${str}" (expected e.g. age=7 or age>=5)`)
+  const [, prop, op, value] = match
+  return { prop, op, value: value.trim() }
+}
+
+function testPredicate(properties, { prop, op, value }) {
+  if (!(prop in properties)) return false
+  const actual = properties[prop]
+  if (op === '=') return String(actual) === value
+  if (op === '!=') return String(actual) !== value
+  const a = Number(actual)
+  const b = Number(value)
+  if (Number.isNaN(a) || Number.isNaN(b)) return false
+  if (op === '>') return a > b
+  if (op === '>=') return a >= b
+  if (op === '<') return a < b
+  return a <= b
+}
+
+/**
+ * Resolve specs to a matcher.
+ *
+ * @param {object} mcData   minecraft-data for the bot's version
+ * @param {string[]} specs
+ * @param {Map<string, number[]>} [serverTags]  from readBlockTags
+ * @returns {{ ids: number[], names: string[], test: (block) => boolean }}
+ *   ids for mineflayer's palette search; test() also checks state predicates
+ * @throws on unknown blocks or tags and malformed predicates
+ */
+export function parseBlockSpecs(mcData, specs, serverTags) {
+  const byId = new Map()  // block id -> list of predicate lists (any may match)
+
+  for (const raw of specs) {
+    const spec = raw.trim().replace(/^(#?)minecraft:/, '$1')
+    const match = /^(#?[\w/]+)(?:\[(.*)\])?$/.exec(spec)
+    if (!match) throw new Error(`Invalid block spec "${raw}"`)
+    const [, name, predicateList] = match
+    const predicates = predicateList ? predicateList.split(',').filter(p => p.trim()).map(parsePredicate) : []
+
+    let blocks
+    if (name.startsWith('#')) {
+      const ids = serverTags?.get(name.slice(1))
+      const tag = BLOCK_TAGS[name.slice(1)]
+      if (ids) {
+        blocks = ids.map(id => mcData.blocks[id]).filter(Boolean)
+      } else if (tag) {
+        blocks = Object.values(mcData.blocksByName).filter(b => tag.test(b.name))
+      } else {
+        throw new Error(`Unknown tag ${name}. Known tags: ${Object.keys(BLOCK_TAGS).map(t => `#${t}`).join(', ')}` +
+          (serverTags?.size ? ', or any block tag the server defines' : ''))
+      }
+    } else {
+      const block = mcData.blocksByName[name]
+      if (!block) throw new Error(`Unknown block type: ${name}`)
+      blocks = [block]
+    }
+
+    for (const block of blocks) {
+      if (!byId.has(block.id)) byId.set(block.id, [])
+      byId.get(block.id).push(predicates)
+    }
+  }
+
+  return {
+    ids: [...byId.keys()],
+    names: [...byId.keys()].map(id => mcData.blocks[id].name),
+    test(block) {
+      const alternatives = byId.get(block?.type)
+      if (!alternatives) return false
+      if (alternatives.some(preds => preds.length === 0)) return true
+      const properties = block.getProperties()
+      return alternatives.some(preds => preds.every(p => testPredicate(properties, p)))
+    }
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Entity tracker
+ *
+ * Keeps a short position history for the entities an agent asked to track,
+ * fed from mineflayer's entityMoved / entityGone / entityDead events (see
+ * tools/tracking.js), and turns it into velocity, heading and whether the
+ * entity is closing in on the bot.
+ *
+ * Entity ids are only meaningful for one connection, so the tracker is
+ * cleared whenever a new bot is created.
+ */
+
+const DEFAULT_HISTORY_SIZE = 40
+const DEFAULT_SAMPLE_MS = 250
+
+// Velocity is measured over roughly this much recent history
+const VELOCITY_WINDOW_MS = 2000
+
+// Below this speed (blocks/s) an entity counts as standing still
+const MOVING_SPEED = 0.2
+
+// Entities that vanish farther away than this were most likely dropped by
+// the server's entity tracking range rather than despawned
+const OUT_OF_RANGE_DISTANCE = 32
+
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+
+const round = (n, digits = 1) => Math.round(n * 10 ** digits) / 10 ** digits
+
+export class EntityTracker {
+  constructor({ historySize = DEFAULT_HISTORY_SIZE, sampleMs = DEFAULT_SAMPLE_MS, maxTracked = 32 } = {}) {
+    this.historySize = historySize
+    this.sampleMs = sampleMs
+    this.maxTracked = maxTracked
+    this.records = new Map()  // entity id -> record
+  }
+
+  clear() {
+    this.records.clear()
+  }
+
+  isTracked(id) {
+    return this.records.has(id)
+  }
+
+  /**
+   * Start tracking an entity (no-op if it already is).
+   * @returns the record
+   * @throws when maxTracked entities that are still present are tracked
+   */
+  track(entity, now = Date.now()) {
+    const existing = this.records.get(entity.id)
+    if (existing) return existing
+
+    if (this.records.size >= this.maxTracked) {
+      // Make room by dropping the entity that has been gone the longest
+      const gone = [...this.records.values()].filter(r => r.gone).sort((a, b) => a.gone.at - b.gone.at)[0]
+      if (!gone) throw new Error(`Already tracking ${this.maxTracked} entities; untrack one first`)
+      this.records.delete(gone.id)
+    }
+
+    const record = {
+      id: entity.id,
+      name: entity.username || entity.name || entity.mobType || entity.type,
+      type: entity.type,
+      firstSeen: now,
+      lastSeen: now,
+      history: [],
+      gone: null  // { at, reason, distance }
+    }
+    this.records.set(entity.id, record)
+    this.sample(entity, now, true)
+    return record
+  }
+
+  untrack(id) {
+    return this.records.delete(id)
+  }
+
+  // Record the entity's position, at most once per sampleMs unless forced
+  sample(entity, now = Date.now(), force = false) {
+    const record = this.records.get(entity.id)
+    if (!record) return
+    record.lastSeen = now
+    // Came back into range. Ids are only reused on a new backend (reconnect or
+    // proxy transfer), and the tracker is cleared on both
+    record.gone = null
+
+    const last = record.history[record.history.length - 1]
+    if (!force && last && now - last.t < this.sampleMs) return
+    record.history.push({ t: now, x: entity.position.x, y: entity.position.y, z: entity.position.z })
+    if (record.history.length > this.historySize) record.history.shift()
+  }
+
+  /**
+   * The entity left the bot's view.
+   * @param {string} reason   'died' or 'gone'
+   * @param {number} distance from the bot when it vanished
+   */
+  markGone(entity, reason, distance, now = Date.now()) {
+    const record = this.records.get(entity.id)
+    if (!record || record.gone) return
+    this.sample(entity, now, true)
+    record.gone = {
+      at: now,
+      reason: reason === 'died' ? 'died' : (distance >= OUT_OF_RANGE_DISTANCE ? 'out_of_range' : 'despawned'),
+      distance
+    }
+  }
+
+  all() {
+    return [...this.records.values()]
+  }
+
+  get(id) {
+    return this.records.get(id)
+  }
+
+  /**
+   * Report on a tracked entity.
+   *
+   * @param {object} record
+   * @param {object|null} entity   the live entity, if still present
+   * @param {{x,y,z}} botPos
+   * @param {number} historyLimit  most recent samples to include
+   */
+  describe(record, entity, botPos, historyLimit = 10, now = Date.now()) {
+    const points = [...record.history]
+    if (entity) {
+      record.lastSeen = now
+      points.push({ t: now, x: entity.position.x, y: entity.position.y, z: entity.position.z })
+    }
+    const latest = points[points.length - 1]
+
+    // Oldest sample inside the window, else the newest before it (an entity
+    // standing still produces no entityMoved samples)
+    const from = points.find(p => latest.t - p.t <= VELOCITY_WINDOW_MS && p !== latest) ||
+      points[points.length - 2] || latest
+    const dt = (latest.t - from.t) / 1000
+    const velocity = dt > 0
+      ? { x: (latest.x - from.x) / dt, y: (latest.y - from.y) / dt, z: (latest.z - from.z) / dt }
+      : { x: 0, y: 0, z: 0 }
+    const speed = Math.hypot(velocity.x, velocity.y, velocity.z)
+    const moving = speed >= MOVING_SPEED
+
+    // Compass heading of horizontal movement: 0 = north (-Z), 90 = east (+X)
+    let heading = null
+    if (moving && Math.hypot(velocity.x, velocity.z) >= MOVING_SPEED) {
+      const degrees = (Math.atan2(velocity.x, -velocity.z) * 180 / Math.PI + 360) % 360
+      heading = { degrees: Math.round(degrees), compass: COMPASS[Math.round(degrees / 45) % 8] }
+    }
+
+    // Speed toward the bot: positive = approaching, negative = moving away
+    const toBot = { x: botPos.x - latest.x, y: botPos.y - latest.y, z: botPos.z - latest.z }
+    const distance = Math.hypot(toBot.x, toBot.y, toBot.z)
+    const approaching = distance > 0
+      ? (velocity.x * toBot.x + velocity.y * toBot.y + velocity.z * toBot.z) / distance
+      : 0
+
+    return {
+      entity_id: record.id,
+      name: record.name,
+      type: record.type,
+      status: record.gone ? 'gone' : 'present',
+      ...(record.gone && {
+        gone_reason: record.gone.reason,
+        gone_ms_ago: now - record.gone.at
+      }),
+      left_render_distance: record.gone?.reason === 'out_of_range',
+      first_seen: new Date(record.firstSeen).toISOString(),
+      last_seen: new Date(record.lastSeen).toISOString(),
+      position: { x: round(latest.x), y: round(latest.y), z: round(latest.z) },
+      distance: round(distance),
+      moving,
+      velocity: { x: round(velocity.x, 2), y: round(velocity.y, 2), z: round(velocity.z, 2), speed: round(speed, 2) },
+      heading,
+      approach_speed: round(approaching, 2),
+      history: (historyLimit > 0 ? record.history.slice(-historyLimit) : []).map(p => ({
+        ms_ago: now - p.t,
+        x: round(p.x),
+        y: round(p.y),
+        z: round(p.z)
+      }))
+    }
+  }
+}
@@ -11,7 +11,7 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url))
 const REPO_ROOT = path.resolve(__dirname, '..', '..', '..')
 
 // Bot message log file - the agent tails this for real-time notifications
-const BOT_MESSAGE_LOG = process.env.BOT_MESSAGE_LOG ||
+export const BOT_MESSAGE_LOG = process.env.BOT_MESSAGE_LOG ||
   path.join(REPO_ROOT, 'agent', 'data', 'bot-messages.log')
 
 // Ensure log directory exists
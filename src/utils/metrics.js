@@ -0,0 +1,137 @@
+/**
+ * Prometheus metrics
+ *
+ * A minimal registry rendering the Prometheus text exposition format, enough
+ * for the daemon's /metrics route: counters and histograms updated as things
+ * happen, and gauges whose values are collected at scrape time.
+ */
+
+// Seconds; tool calls range from instant reads to multi-minute pathfinding
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) return ''
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return String(value)
+}
+
+// Series are keyed by their rendered label set
+class Counter {
+  constructor(name, help) {
+    this.name = name
+    this.help = help
+    this.series = new Map()  // labelString -> value
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels)
+    this.series.set(key, (this.series.get(key) || 0) + amount)
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`]
+    for (const [key, value] of this.series) {
+      lines.push(`${this.name}${key} ${formatValue(value)}`)
+    }
+    return lines
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    this.name = name
+    this.help = help
+    this.buckets = [...buckets].sort((a, b) => a - b)
+    this.series = new Map()  // labelString -> { labels, counts[], sum, count }
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels)
+    let s = this.series.get(key)
+    if (!s) {
+      s = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+      this.series.set(key, s)
+    }
+    this.buckets.forEach((le, i) => {
+      if (value <= le) s.counts[i]++
+    })
+    s.sum += value
+    s.count++
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`]
+    for (const [key, s] of this.series) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`)
+      })
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`)
+      lines.push(`${this.name}_sum${key} ${formatValue(s.sum)}`)
+      lines.push(`${this.name}_count${key} ${s.count}`)
+    }
+    return lines
+  }
+}
+
+// collect() returns [{ labels, value }] at scrape time; null values are skipped
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name
+    this.help = help
+    this.collect = collect
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`]
+    for (const { labels = {}, value } of this.collect()) {
+      if (value === null || value === undefined || Number.isNaN(value)) continue
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(Number(value))}`)
+    }
+    return lines
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = []
+  }
+
+  counter(name, help) {
+    const metric = new Counter(name, help)
+    this.metrics.push(metric)
+    return metric
+  }
+
+  histogram(name, help, buckets) {
+    const metric = new Histogram(name, help, buckets)
+    this.metrics.push(metric)
+    return metric
+  }
+
+  gauge(name, help, collect) {
+    const metric = new Gauge(name, help, collect)
+    this.metrics.push(metric)
+    return metric
+  }
+
+  render() {
+    return this.metrics.flatMap(m => {
+      try {
+        return m.render()
+      } catch (err) {
+        console.error(`[Metrics] Failed to collect ${m.name}: ${err.message}`)
+        return []
+      }
+    }).join('\n') + '\n'
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Movement profiles
+ *
+ * Named pathfinder settings that movement tools pick per call (profile
+ * argument) or per bot (set_movement_profile). Each profile says whether
+ * the bot may dig, which blocks it may place to scaffold, which blocks it
+ * must not walk through, whether it sprints and parkour-jumps, and how far
+ * it may drop.
+ */
+
+// Fall damage starts above 3 blocks
+const SAFE_DROP = 3
+
+// Passable blocks that hurt or trap the bot, on top of the pathfinder's own
+// list (fire, cobwebs, wither roses). Avoided blocks are never walked
+// through; the pathfinder has no way to avoid standing on a block.
+const HAZARDS = ['soul_fire', 'sweet_berry_bush', 'powder_snow']
+
+// Cheap, common blocks worth spending on bridges and pillars
+const BUILDER_SCAFFOLD = ['dirt', 'cobblestone', 'cobbled_deepslate', 'netherrack', 'stone',
+  'andesite', 'diorite', 'granite', 'tuff', 'blackstone', 'basalt']
+
+// Blocks a digging profile must never break: storage, beds, and anything
+// that floods or gives way
+const NEVER_BREAK = ['chest', 'trapped_chest', 'barrel', 'ender_chest', 'shulker_box', 'furnace',
+  'blast_furnace', 'smoker', 'hopper', 'spawner', 'beacon', 'bed', 'glass', 'glass_pane', 'sand', 'gravel']
+
+export const DEFAULT_MOVEMENT_PROFILE = 'standard'
+
+/**
+ * scaffold: item names the bot may place to bridge/pillar ([] = never place,
+ *           null = the pathfinder's defaults, dirt and cobblestone)
+ * avoid:    block names never walked through or stood in (not floors)
+ * maxDrop:  highest drop taken in one step
+ */
+export const MOVEMENT_PROFILES = {
+  standard: {
+    description: 'Walk, jump, open doors and pillar with dirt/cobblestone; never dig. The behavior before profiles existed.',
+    dig: false,
+    scaffold: null,
+    avoid: [],
+    sprint: true,
+    parkour: true,
+    maxDrop: 4
+  },
+  safe: {
+    description: 'No digging, placing or parkour; avoids hazards and drops that cause fall damage. Walks instead of sprinting.',
+    dig: false,
+    scaffold: [],
+    avoid: HAZARDS,
+    sprint: false,
+    parkour: false,
+    maxDrop: SAFE_DROP
+  },
+  builder: {
+    description: 'May dig through obstacles (never containers, beds, glass, sand or gravel) and scaffold with common stone/dirt blocks.',
+    dig: true,
+    scaffold: BUILDER_SCAFFOLD,
+    avoid: HAZARDS,
+    sprint: true,
+    parkour: false,
+    maxDrop: SAFE_DROP
+  },
+  parkour: {
+    description: 'Fastest over open terrain: sprints and makes gap jumps, takes longer drops. No digging or placing.',
+    dig: false,
+    scaffold: [],
+    avoid: [],
+    sprint: true,
+    parkour: true,
+    maxDrop: 5
+  },
+  no_water: {
+    description: 'Like standard, but never enters water (keeps items and the bot dry, avoids drowning and currents).',
+    dig: false,
+    scaffold: null,
+    avoid: ['water', 'bubble_column', 'kelp', 'kelp_plant', 'seagrass', 'tall_seagrass'],
+    sprint: true,
+    parkour: true,
+    maxDrop: 4
+  }
+}
+
+export const MOVEMENT_PROFILE_NAMES = Object.keys(MOVEMENT_PROFILES)
+
+// Input schema property for every tool that pathfinds
+export const profileProperty = {
+  profile: {
+    type: 'string',
+    enum: MOVEMENT_PROFILE_NAMES,
+    description: 'Movement profile: standard, safe, builder (may dig and scaffold), parkour or no_water (default: the bot\'s, see set_movement_profile)'
+  }
+}
+
+// Names like 'bed' or 'shulker_box' cover their colored variants
+const blockIds = (mcData, names) => mcData.blocksArray
+  .filter(b => names.some(n => b.name === n || b.name.endsWith(`_${n}`)))
+  .map(b => b.id)
+
+/**
+ * Configure a fresh mineflayer-pathfinder Movements for a profile.
+ *
+ * @param {object} movements  new Movements(bot, mcData)
+ * @param {object} profile    an entry of MOVEMENT_PROFILES
+ * @param {object} mcData
+ */
+export function applyMovementProfile(movements, profile, mcData) {
+  movements.canDig = profile.dig
+  movements.canOpenDoors = true
+  movements.allowSprinting = profile.sprint
+  movements.allowParkour = profile.parkour
+  movements.maxDropDown = profile.maxDrop
+
+  if (profile.scaffold) {
+    movements.scafoldingBlocks = profile.scaffold
+      .map(name => mcData.itemsByName[name]?.id)
+      .filter(id => id !== undefined)
+  }
+  movements.allow1by1towers = movements.scafoldingBlocks.length > 0
+
+  for (const id of blockIds(mcData, profile.avoid)) movements.blocksToAvoid.add(id)
+  if (profile.dig) {
+    for (const id of blockIds(mcData, NEVER_BREAK)) movements.blocksCantBreak.add(id)
+  }
+  return movements
+}
+
+// Profile settings as the tools report them
+export function describeMovementProfile(name) {
+  const { description, dig, scaffold, avoid, sprint, parkour, maxDrop } = MOVEMENT_PROFILES[name]
+  return {
+    name,
+    description,
+    dig,
+    scaffold: scaffold ?? ['dirt', 'cobblestone'],
+    avoid,
+    sprint,
+    parkour,
+    max_drop: maxDrop
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Physical action lock
+ *
+ * Arbitrates the tools that act with the bot's body (PHYSICAL_TOOLS in
+ * index.js) so Body and Mind don't fight over it. One call holds the lock at
+ * a time; other callers wait in a bounded priority queue instead of being
+ * rejected outright. A request with a higher priority than the current holder
+ * (e.g. a survival action during a long craft_item) preempts it: the holder's
+ * AbortSignal fires and the lock passes straight to the new request.
+ */
+
+export const LOCK_PRIORITIES = { low: 0, normal: 1, survival: 2 }
+
+const DEFAULT_TIMEOUT_MS = 10000
+const MAX_WAITERS = 8
+
+/**
+ * Priority for a call: what the caller asked for, but never above the tool's
+ * own default, so a client can't claim 'survival' to preempt someone else.
+ *
+ * @param {string} [requested]       lock_priority from the caller
+ * @param {string} [toolDefault]     the tool's priority (default 'normal')
+ */
+export function cappedPriority(requested, toolDefault = 'normal') {
+  return LOCK_PRIORITIES[requested] <= LOCK_PRIORITIES[toolDefault] ? requested : toolDefault
+}
+
+export class PhysicalLock {
+  constructor({ maxWaiters = MAX_WAITERS, defaultTimeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.holder = null   // lease of the call currently running
+    this.waiters = []    // pending requests, highest priority first
+    this.maxWaiters = maxWaiters
+    this.defaultTimeoutMs = defaultTimeoutMs
+  }
+
+  isHeld() {
+    return !!this.holder
+  }
+
+  /**
+   * Wait for the lock.
+   *
+   * @param {object} opts
+   * @param {string} opts.tool        tool name requesting the lock
+   * @param {string} [opts.sessionId] MCP session making the call
+   * @param {string} [opts.priority]  key of LOCK_PRIORITIES (default 'normal')
+   * @param {number} [opts.timeoutMs] how long to wait in the queue (0: fail instead of queueing)
+   * @param {AbortSignal} [opts.signal] gives up the place in the queue when aborted
+   * @returns {Promise<object>} lease with { signal, release(), waitedMs, ... }
+   */
+  acquire({ tool, sessionId = null, priority = 'normal', timeoutMs = this.defaultTimeoutMs, signal = null }) {
+    if (!(priority in LOCK_PRIORITIES)) priority = 'normal'
+    const request = { tool, sessionId, priority, rank: LOCK_PRIORITIES[priority], requestedAt: Date.now() }
+
+    if (!this.holder) {
+      return Promise.resolve(this._grant(request))
+    }
+
+    // Preempt a lower-priority holder rather than queueing behind it
+    if (request.rank > this.holder.rank) {
+      const preempted = this.holder
+      preempted.preemptedBy = tool
+      console.error(`[Lock] ${tool} (${priority}) preempting ${preempted.tool} (${preempted.priority})`)
+      preempted.controller.abort(new Error(`Preempted by ${tool} (${priority} priority)`))
+      return Promise.resolve(this._grant(request))
+    }
+
+    if (signal?.aborted) {
+      return Promise.reject(new Error(`${tool} cancelled before it got the bot`))
+    }
+
+    if (timeoutMs === 0) {
+      return Promise.reject(new Error(`Bot is busy (${this.holder.tool}). Try again shortly.`))
+    }
+
+    if (this.waiters.length >= this.maxWaiters) {
+      return Promise.reject(new Error(`Bot is busy (${this.holder.tool}) and ${this.waiters.length} calls are already waiting. Try again shortly.`))
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(request.timer)
+        this.waiters = this.waiters.filter(w => w !== request)
+        reject(new Error(`${tool} cancelled while waiting for the bot`))
+      }
+      request.resolve = (lease) => {
+        signal?.removeEventListener('abort', onAbort)
+        resolve(lease)
+      }
+      request.timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort)
+        this.waiters = this.waiters.filter(w => w !== request)
+        reject(new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s waiting for the bot (busy with ${this.holder?.tool || 'another action'})`))
+      }, timeoutMs)
+      signal?.addEventListener('abort', onAbort)
+
+      // Highest priority first, FIFO within the same priority
+      const idx = this.waiters.findIndex(w => w.rank < request.rank)
+      if (idx === -1) {
+        this.waiters.push(request)
+      } else {
+        this.waiters.splice(idx, 0, request)
+      }
+    })
+  }
+
+  _grant(request) {
+    const now = Date.now()
+    const controller = new AbortController()
+    const lease = {
+      tool: request.tool,
+      sessionId: request.sessionId,
+      priority: request.priority,
+      rank: request.rank,
+      acquiredAt: now,
+      waitedMs: now - request.requestedAt,
+      controller,
+      signal: controller.signal,
+      preemptedBy: null
+    }
+    lease.release = () => this._release(lease)
+    this.holder = lease
+    return lease
+  }
+
+  _release(lease) {
+    // A preempted lease no longer owns the lock; releasing it is a no-op
+    if (this.holder !== lease) return
+    this.holder = null
+
+    const next = this.waiters.shift()
+    if (next) {
+      clearTimeout(next.timer)
+      next.resolve(this._grant(next))
+    }
+  }
+
+  status() {
+    const now = Date.now()
+    return {
+      holder: this.holder ? {
+        tool: this.holder.tool,
+        session: this.holder.sessionId,
+        priority: this.holder.priority,
+        held_ms: now - this.holder.acquiredAt
+      } : null,
+      waiting: this.waiters.map(w => ({
+        tool: w.tool,
+        session: w.sessionId,
+        priority: w.priority,
+        waited_ms: now - w.requestedAt
+      })),
+      max_waiting: this.maxWaiters
+    }
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Player history
+ *
+ * Who has been online while a bot was connected: join/leave times, session
+ * durations and last known position, fed from mineflayer's playerJoined /
+ * playerLeft events (see tools/players.js). Kept per bot context, in memory,
+ * across reconnects. Sessions that were already running when the bot joined,
+ * or still running when it left, have an unknown start or end and say so.
+ * At most maxPlayers are kept; past that the least recently seen offline
+ * player is forgotten.
+ */
+
+const MAX_SESSIONS = 20
+const MAX_PLAYERS = 1000
+
+export class PlayerHistory {
+  constructor({ maxPlayers = MAX_PLAYERS } = {}) {
+    this.players = new Map()  // lowercase username -> record
+    this.maxPlayers = maxPlayers
+  }
+
+  _record(username, uuid) {
+    const key = username.toLowerCase()
+    let record = this.players.get(key)
+    if (!record) {
+      record = {
+        username,
+        uuid: uuid || null,
+        firstSeen: null,
+        lastSeen: null,
+        online: null,        // current session: { joined, joinedBeforeBot }
+        sessions: [],        // finished: { joined, left, joinedBeforeBot, leftWithBot }
+        lastPosition: null   // { x, y, z, dimension, at }
+      }
+      this.players.set(key, record)
+      if (this.players.size > this.maxPlayers) this._evict()
+    }
+    if (uuid) record.uuid = uuid
+    return record
+  }
+
+  /**
+   * A player is on the tab list.
+   * @param {boolean} alreadyOnline  they were online before the bot joined
+   */
+  join(username, uuid, now = Date.now(), alreadyOnline = false) {
+    const record = this._record(username, uuid)
+    record.firstSeen ??= now
+    record.lastSeen = now
+    if (!record.online) record.online = { joined: now, joinedBeforeBot: alreadyOnline }
+  }
+
+  leave(username, now = Date.now()) {
+    const record = this.players.get(username.toLowerCase())
+    if (!record?.online) return
+    this._endSession(record, now, false)
+  }
+
+  // The bot disconnected: we no longer know who is online
+  botLeft(now = Date.now()) {
+    for (const record of this.players.values()) {
+      if (record.online) this._endSession(record, now, true)
+    }
+  }
+
+  // Forget the offline player seen longest ago (the new record has no
+  // lastSeen yet, so it is never the one dropped)
+  _evict() {
+    let oldest = null
+    for (const [key, record] of this.players) {
+      if (record.online || record.lastSeen === null) continue
+      if (!oldest || record.lastSeen < oldest.lastSeen) oldest = { key, lastSeen: record.lastSeen }
+    }
+    if (oldest) this.players.delete(oldest.key)
+  }
+
+  _endSession(record, now, leftWithBot) {
+    record.sessions.push({ ...record.online, left: now, leftWithBot })
+    if (record.sessions.length > MAX_SESSIONS) record.sessions.shift()
+    record.online = null
+    record.lastSeen = now
+  }
+
+  seenAt(username, position, dimension, now = Date.now()) {
+    const record = this.players.get(username.toLowerCase())
+    if (!record) return
+    record.lastPosition = { x: Math.floor(position.x), y: Math.floor(position.y), z: Math.floor(position.z), dimension, at: now }
+  }
+
+  get(username) {
+    return this.players.get(username.toLowerCase())
+  }
+
+  all() {
+    return [...this.players.values()]
+  }
+
+  describe(record, now = Date.now(), sessionLimit = 5) {
+    const session = (s) => ({
+      joined: new Date(s.joined).toISOString(),
+      ...(s.joinedBeforeBot && { joined_before_bot: true }),
+      ...(s.left && { left: new Date(s.left).toISOString() }),
+      ...(s.leftWithBot && { left_with_bot: true }),
+      duration_ms: (s.left ?? now) - s.joined
+    })
+    const observedMs = record.sessions.reduce((sum, s) => sum + s.left - s.joined, 0) +
+      (record.online ? now - record.online.joined : 0)
+
+    return {
+      username: record.username,
+      uuid: record.uuid,
+      online: !!record.online,
+      first_seen: new Date(record.firstSeen).toISOString(),
+      last_seen: record.online ? new Date(now).toISOString() : new Date(record.lastSeen).toISOString(),
+      ...(record.online && { current_session: session(record.online) }),
+      sessions_seen: record.sessions.length + (record.online ? 1 : 0),
+      observed_online_ms: observedMs,
+      recent_sessions: sessionLimit > 0 ? record.sessions.slice(-sessionLimit).reverse().map(session) : [],
+      last_known_position: record.lastPosition && {
+        ...record.lastPosition,
+        at: new Date(record.lastPosition.at).toISOString()
+      }
+    }
+  }
+}
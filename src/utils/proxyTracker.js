@@ -0,0 +1,170 @@
+/**
+ * Proxy backend tracker
+ *
+ * Behind Velocity or BungeeCord the bot's connection stays up while the proxy
+ * moves it between backend servers (hub, survival...). Mineflayer only sees a
+ * fresh 'spawn'. This works out which backend the bot is actually on from:
+ *
+ *   - `/server` output ("You are currently connected to survival.")
+ *   - the server list ("Available servers: hub, survival")
+ *   - the tab-list header, when it names a known backend
+ *     (or matches MC_PROXY_TAB_PATTERN, whose first group is the name)
+ *   - transfer spawns, which mean "somewhere else" until confirmed
+ *
+ * Neither state is trusted forever: a proxy with custom or localized messages
+ * may never confirm a switch or transfer. expire() (called periodically)
+ * fails a switch past its deadline and gives up on an unconfirmed transfer.
+ *
+ * Emits 'change' ({ server, previous, source }), 'failed' ({ server, reason })
+ * and 'unconfirmed' ({ previous }) when a transfer expires.
+ */
+
+import { EventEmitter } from 'events'
+
+const TAB_PATTERN = process.env.MC_PROXY_TAB_PATTERN ? new RegExp(process.env.MC_PROXY_TAB_PATTERN, 'i') : null
+
+// Velocity and BungeeCord default messages
+const CURRENT_PATTERN = /you are (?:currently|already) connected to(?: server)? ([\w.-]+?)\.?$/im
+const ALREADY_PATTERN = /you are already connected to this server/i
+const LIST_PATTERN = /(?:available servers|you may connect to the following servers(?: at this time)?):\s*(.+)$/im
+const KICKED_PATTERN = /(?:you were kicked from|lost connection to) ([\w.-]+)/i
+const FAILED_PATTERN = /unable to connect you to|could not connect to|does not exist|is not running|(?:don'?t|do not) have permission/i
+
+// How long a transfer may go unconfirmed before the backend counts as unknown
+const TRANSFER_TIMEOUT_MS = 20000
+
+export class ProxyTracker extends EventEmitter {
+  constructor() {
+    super()
+    this.servers = []          // backend names, from the proxy's server list
+    this.serversUpdatedAt = null
+    this.reset()
+  }
+
+  // Forget the current backend (new connection to the proxy)
+  reset() {
+    this.current = null
+    this.source = null
+    this.updatedAt = null
+    this.switching = null      // { target, since, deadline } while a switch is in flight
+    this.transferring = false  // transfer spawn seen, backend not yet confirmed
+    this.transferSince = null
+  }
+
+  setCurrent(server, source) {
+    const previous = this.current
+    this.current = server
+    this.source = source
+    this.updatedAt = Date.now()
+    this.transferring = false
+    this.transferSince = null
+    if (this.switching?.target === server) this.switching = null
+    if (server && !this.servers.includes(server)) this.servers.push(server)
+    if (previous !== server) this.emit('change', { server, previous, source })
+  }
+
+  beginSwitch(target, timeoutMs) {
+    const since = Date.now()
+    this.switching = { target, since, deadline: since + timeoutMs }
+  }
+
+  beginTransfer(source) {
+    this.transferring = true
+    this.transferSince = Date.now()
+    this.source = source
+    this.updatedAt = Date.now()
+  }
+
+  // Drop switch/transfer states nothing has confirmed in time
+  expire(now = Date.now()) {
+    if (this.switching && now >= this.switching.deadline) {
+      const { target, since } = this.switching
+      this.switching = null
+      this.emit('failed', { server: target, reason: `no transfer after ${Math.round((now - since) / 1000)}s` })
+    }
+    if (this.transferring && now - this.transferSince >= TRANSFER_TIMEOUT_MS) {
+      // Where we landed is unknown; the last confirmed backend is no longer true
+      const previous = this.current
+      this.current = null
+      this.source = 'unconfirmed'
+      this.updatedAt = now
+      this.transferring = false
+      this.transferSince = null
+      this.emit('unconfirmed', { previous })
+    }
+  }
+
+  // A new spawn on an existing connection: the proxy moved us
+  handleTransfer() {
+    if (this.switching) {
+      this.setCurrent(this.switching.target, 'transfer')
+    } else {
+      this.beginTransfer('transfer')
+    }
+  }
+
+  handleMessage(msgText) {
+    const list = LIST_PATTERN.exec(msgText)
+    if (list) {
+      this.servers = list[1]
+        .split(',')
+        .map(s => s.replace(/\(.*?\)/g, '').trim())
+        .filter(Boolean)
+      this.serversUpdatedAt = Date.now()
+    }
+
+    if (ALREADY_PATTERN.test(msgText) && this.switching) {
+      this.setCurrent(this.switching.target, 'server_command')
+      return
+    }
+
+    const current = CURRENT_PATTERN.exec(msgText)
+    if (current) {
+      this.setCurrent(current[1], 'server_command')
+      return
+    }
+
+    const kicked = KICKED_PATTERN.exec(msgText)
+    if (kicked && kicked[1] === this.current) {
+      // The proxy will drop us on a fallback; where exactly arrives with the spawn
+      this.beginTransfer('backend_kick')
+      return
+    }
+
+    const failed = FAILED_PATTERN.exec(msgText)
+    if (failed && this.switching) {
+      const { target } = this.switching
+      this.switching = null
+      this.emit('failed', { server: target, reason: msgText })
+    }
+  }
+
+  handleTabHeader(headerText) {
+    if (!headerText) return
+    if (TAB_PATTERN) {
+      const match = TAB_PATTERN.exec(headerText)
+      if (match?.[1]) this.setCurrent(match[1], 'tab_header')
+      return
+    }
+    const lower = headerText.toLowerCase()
+    const named = this.servers.filter(s => new RegExp(`\\b${s.replace(/[.-]/g, '\\$&')}\\b`, 'i').test(lower))
+    // Only trust the header when it names exactly one backend
+    if (named.length === 1) this.setCurrent(named[0], 'tab_header')
+  }
+
+  // Backend is known and not mid-transfer
+  isSettled() {
+    return !!this.current && !this.transferring && !this.switching
+  }
+
+  // While transferring, `current` is the last confirmed backend
+  status() {
+    return {
+      current: this.current,
+      transferring: this.transferring,
+      switching_to: this.switching?.target || null,
+      source: this.source,
+      updated_ms_ago: this.updatedAt ? Date.now() - this.updatedAt : null
+    }
+  }
+}
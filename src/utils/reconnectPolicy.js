@@ -0,0 +1,87 @@
+/**
+ * Reconnect policy
+ *
+ * Classifies why the bot lost its connection (kick reason or socket error)
+ * and decides when, or whether, to try again. Retrying straight into a ban,
+ * a whitelist kick or a login throttle just gets the account rate-limited, so
+ * each category has its own backoff:
+ *
+ *   baseMs/maxMs  exponential backoff bounds (with ±20% jitter)
+ *   maxAttempts   attempts before the cool-down (or giving up)
+ *   cooldownMs    pause after maxAttempts, then start counting again;
+ *                 without it the bot gives up after maxAttempts
+ *   stop          never retry automatically
+ */
+
+const POLICIES = {
+  banned:             { stop: true },
+  whitelist:          { stop: true },
+  // Someone else logged in with this account — back off hard, then give up
+  duplicate_login:    { baseMs: 30000, maxMs: 300000, maxAttempts: 3 },
+  throttled:          { baseMs: 10000, maxMs: 120000, maxAttempts: 8, cooldownMs: 15 * 60000 },
+  server_unavailable: { baseMs: 5000, maxMs: 60000, maxAttempts: 30, cooldownMs: 5 * 60000 },
+  kicked:             { baseMs: 5000, maxMs: 120000, maxAttempts: 10, cooldownMs: 10 * 60000 },
+  connection_lost:    { baseMs: 1000, maxMs: 30000, maxAttempts: 20, cooldownMs: 2 * 60000 }
+}
+
+// Checked in order; first match wins
+const PATTERNS = [
+  ['banned', /\bbanned\b|\bban\b.*\b(reason|expires|appeal)/],
+  ['whitelist', /white-?list/],
+  ['duplicate_login', /logged in from another location|duplicate.?login|already (connected|logged in|online)/],
+  ['throttled', /throttl|too fast|wait before reconnect|too many (connections|logins|attempts)/],
+  ['server_unavailable', /server (closed|is (full|restarting|starting))|restart|shutting down|lost connection to|fallback server|unable to connect to/],
+  ['connection_lost', /timed? ?out|keep.?alive|econnreset|econnrefused|etimedout|ehostunreach|enotfound|socket ?closed|end of stream/]
+]
+
+/**
+ * Map a disconnect reason to a policy category.
+ *
+ * @param {string} reason   kick reason (raw or JSON text component) or error message
+ * @param {boolean} kicked  whether the server kicked us (vs. the socket dropping)
+ */
+export function classifyDisconnect(reason, kicked = false) {
+  const text = String(reason || '').toLowerCase()
+  for (const [category, pattern] of PATTERNS) {
+    if (pattern.test(text)) return category
+  }
+  return kicked ? 'kicked' : 'connection_lost'
+}
+
+/**
+ * Number of the next reconnect attempt. Attempts count per category: a first
+ * throttled kick after several lost connections starts throttled's backoff
+ * from the beginning.
+ *
+ * @param {number} attempt               attempts made so far
+ * @param {string|null} previousCategory category those attempts were for
+ * @param {string} category              category of this drop
+ */
+export function nextReconnectAttempt(attempt, previousCategory, category) {
+  return (previousCategory && previousCategory !== category ? 0 : attempt) + 1
+}
+
+/**
+ * Decide what to do before reconnect attempt number `attempt` (1-based).
+ *
+ * @returns {{ action: 'retry'|'cooldown'|'give_up', delayMs: number|null, reason: string }}
+ *   'cooldown' means wait delayMs, then restart the attempt count
+ */
+export function planReconnect(category, attempt) {
+  const policy = POLICIES[category] || POLICIES.connection_lost
+
+  if (policy.stop) {
+    return { action: 'give_up', delayMs: null, reason: `${category}: automatic reconnect disabled` }
+  }
+
+  if (attempt > policy.maxAttempts) {
+    if (policy.cooldownMs) {
+      return { action: 'cooldown', delayMs: policy.cooldownMs, reason: `${category}: ${policy.maxAttempts} attempts failed, cooling down` }
+    }
+    return { action: 'give_up', delayMs: null, reason: `${category}: gave up after ${policy.maxAttempts} attempts` }
+  }
+
+  const backoff = Math.min(policy.baseMs * 2 ** (attempt - 1), policy.maxMs)
+  const jitter = 0.8 + Math.random() * 0.4
+  return { action: 'retry', delayMs: Math.round(backoff * jitter), reason: `${category}: attempt ${attempt}/${policy.maxAttempts}` }
+}
@@ -0,0 +1,118 @@
+/**
+ * Visible blocks around a point, computed off the main thread
+ *
+ * 1. Snapshot the block states of the flood fill's bounds (scan radius + 10)
+ *    from the loaded chunk sections into a Uint32Array, one x-slice at a
+ *    time with a yield in between so keepalives keep flowing.
+ * 2. Run the BFS in a worker (visibilityWorker.js): flood through transparent
+ *    blocks from the bot and keep the solid blocks that border the filled
+ *    space, i.e. what the bot could see without x-ray.
+ */
+
+import { Worker } from 'worker_threads'
+
+const UNLOADED = 0xFFFFFFFF
+
+// How far past the scan area the flood fill may wander to reach it
+const EXTEND = 10
+
+const AIR = new Set(['air', 'cave_air', 'void_air'])
+
+// stateId -> 1 if see-through, per minecraft-data version
+const transparencyCache = new Map()
+
+function transparencyTable(mcData) {
+  const cached = transparencyCache.get(mcData.version.minecraftVersion)
+  if (cached) return cached
+
+  const maxState = Math.max(...mcData.blocksArray.map(b => b.maxStateId ?? b.id))
+  const table = new Uint8Array(maxState + 1)
+  for (const block of mcData.blocksArray) {
+    if (!AIR.has(block.name) && !block.transparent) continue
+    const min = block.minStateId ?? block.id
+    const max = block.maxStateId ?? block.id
+    for (let s = min; s <= max; s++) table[s] = 1
+  }
+  transparencyCache.set(mcData.version.minecraftVersion, table)
+  return table
+}
+
+/**
+ * @param {object} bot       mineflayer bot
+ * @param {object} mcData    minecraft-data for the bot's version
+ * @param {object} area      { x, y, z, radius } scan area (a cube)
+ * @param {AbortSignal} [signal]  aborts the snapshot or terminates the worker
+ * @returns {Promise<Array<{ pos: {x,y,z}, stateId: number }>|null>} null if cancelled
+ */
+export async function findVisibleBlocks(bot, mcData, { x, y, z, radius }, signal) {
+  const start = bot.entity.position.floored()
+  const ext = radius + EXTEND
+  const origin = { x: x - ext, y: y - ext, z: z - ext }
+  const sx = ext * 2 + 1, sy = ext * 2 + 1, sz = ext * 2 + 1
+
+  // The flood fill starts at the bot; outside its bounds nothing is reachable
+  const rel = { x: start.x - origin.x, y: start.y - origin.y, z: start.z - origin.z }
+  if (rel.x < 0 || rel.x >= sx || rel.y < 0 || rel.y >= sy || rel.z < 0 || rel.z >= sz) {
+    return []
+  }
+
+  const minY = bot.game.minY ?? 0
+  const maxY = minY + (bot.game.height ?? 256) - 1
+  const states = new Uint32Array(sx * sy * sz)
+  const cursor = start.clone()
+  const columnLoaded = new Map()
+
+  for (let ix = 0; ix < sx; ix++) {
+    cursor.x = origin.x + ix
+    for (let iz = 0; iz < sz; iz++) {
+      cursor.z = origin.z + iz
+      const columnKey = `${cursor.x >> 4},${cursor.z >> 4}`
+      if (!columnLoaded.has(columnKey)) columnLoaded.set(columnKey, !!bot.world.getColumnAt(cursor))
+      const loaded = columnLoaded.get(columnKey)
+
+      for (let iy = 0; iy < sy; iy++) {
+        cursor.y = origin.y + iy
+        const i = (ix * sy + iy) * sz + iz
+        states[i] = loaded && cursor.y >= minY && cursor.y <= maxY ? bot.world.getBlockStateId(cursor) : UNLOADED
+      }
+    }
+    // Yield between slices so keepalive packets can be processed
+    await new Promise(resolve => setImmediate(resolve))
+    if (signal?.aborted) return null
+  }
+
+  const result = await new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./visibilityWorker.js', import.meta.url))
+    const onAbort = () => {
+      worker.terminate()
+      resolve(null)
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+    worker.once('message', (result) => {
+      signal?.removeEventListener('abort', onAbort)
+      worker.terminate()
+      resolve(result)
+    })
+    worker.once('error', (err) => {
+      signal?.removeEventListener('abort', onAbort)
+      reject(err)
+    })
+    worker.postMessage({
+      size: [sx, sy, sz],
+      states,
+      transparent: transparencyTable(mcData),
+      start: [rel.x, rel.y, rel.z],
+      bounds: [EXTEND, sx - 1 - EXTEND, EXTEND, sy - 1 - EXTEND, EXTEND, sz - 1 - EXTEND]
+    }, [states.buffer])
+  })
+  if (!result) return null
+
+  return Array.from(result.indices, (i, n) => ({
+    pos: {
+      x: origin.x + Math.floor(i / (sy * sz)),
+      y: origin.y + Math.floor(i / sz) % sy,
+      z: origin.z + i % sz
+    },
+    stateId: result.stateIds[n]
+  }))
+}
@@ -0,0 +1,72 @@
+/**
+ * Visibility flood fill (worker thread)
+ *
+ * Runs the scan_area BFS over a block-state snapshot so big radii don't
+ * stall the bot's event loop. See visibility.js for the snapshot layout.
+ *
+ * In:  { size: [sx, sy, sz], states: Uint32Array, transparent: Uint8Array,
+ *        start: [x, y, z], bounds: [minX, maxX, minY, maxY, minZ, maxZ] }
+ *      (coordinates relative to the snapshot origin; bounds = scan area)
+ * Out: { indices: Int32Array, stateIds: Uint32Array } of the visible solid
+ *      blocks (snapshot indices and their block states)
+ */
+
+import { parentPort } from 'worker_threads'
+
+const UNLOADED = 0xFFFFFFFF
+
+parentPort.once('message', ({ size: [sx, sy, sz], states, transparent, start, bounds }) => {
+  const [minX, maxX, minY, maxY, minZ, maxZ] = bounds
+  const total = sx * sy * sz
+  const index = (x, y, z) => (x * sy + y) * sz + z
+
+  // Unloaded or out-of-world cells are see-through but never "visible",
+  // the same as blockAt() returning null on the main thread
+  const isTransparent = (i) => states[i] === UNLOADED || transparent[states[i]] === 1
+
+  const queued = new Uint8Array(total)
+  const visible = new Uint8Array(total)
+  const queue = new Int32Array(total)
+  let head = 0
+  let tail = 0
+  const visibleIndices = []
+
+  const [bx, by, bz] = start
+  const startIndex = index(bx, by, bz)
+  queue[tail++] = startIndex
+  queued[startIndex] = 1
+
+  const offsets = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]
+
+  while (head < tail) {
+    const i = queue[head++]
+    if (!isTransparent(i)) continue
+
+    const x = Math.floor(i / (sy * sz))
+    const y = Math.floor(i / sz) % sy
+    const z = i % sz
+
+    for (const [ox, oy, oz] of offsets) {
+      const nx = x + ox, ny = y + oy, nz = z + oz
+      // The snapshot is the flood-fill's extended bounds
+      if (nx < 0 || nx >= sx || ny < 0 || ny >= sy || nz < 0 || nz >= sz) continue
+      const n = index(nx, ny, nz)
+
+      if (isTransparent(n)) {
+        if (!queued[n]) {
+          queued[n] = 1
+          queue[tail++] = n
+        }
+      } else if (!visible[n] &&
+                 nx >= minX && nx <= maxX && ny >= minY && ny <= maxY && nz >= minZ && nz <= maxZ) {
+        // Solid block adjacent to reachable space, inside the scan area
+        visible[n] = 1
+        visibleIndices.push(n)
+      }
+    }
+  }
+
+  const indices = Int32Array.from(visibleIndices)
+  const stateIds = Uint32Array.from(visibleIndices, i => states[i])
+  parentPort.postMessage({ indices, stateIds }, [indices.buffer, stateIds.buffer])
+})
@@ -0,0 +1,277 @@
+/**
+ * World memory
+ *
+ * SQLite store of what the bots have seen, so it survives reconnects and
+ * restarts: notable blocks, containers (with last-known contents), beds,
+ * signs, villagers and named points of interest. Everything is scoped by
+ * server and dimension; a location is identified by (kind, key), where key
+ * is "x,y,z" for blocks, the UUID for villagers and the name for POIs.
+ *
+ * Waypoints are a separate table: named navigation targets set by agents,
+ * unique per server and dimension (case-insensitive), never swept or aged.
+ */
+
+import fs from 'fs'
+import path from 'path'
+
+export const LOCATION_KINDS = ['block', 'container', 'bed', 'sign', 'villager', 'poi']
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS locations (
+  server     TEXT NOT NULL,
+  dimension  TEXT NOT NULL,
+  kind       TEXT NOT NULL,
+  key        TEXT NOT NULL,
+  name       TEXT NOT NULL,
+  x          INTEGER NOT NULL,
+  y          INTEGER NOT NULL,
+  z          INTEGER NOT NULL,
+  data       TEXT,
+  first_seen INTEGER NOT NULL,
+  last_seen  INTEGER NOT NULL,
+  PRIMARY KEY (server, dimension, kind, key)
+);
+CREATE INDEX IF NOT EXISTS locations_xz ON locations (server, dimension, x, z);
+CREATE TABLE IF NOT EXISTS waypoints (
+  server     TEXT NOT NULL,
+  dimension  TEXT NOT NULL,
+  key        TEXT NOT NULL,
+  name       TEXT NOT NULL,
+  x          INTEGER NOT NULL,
+  y          INTEGER NOT NULL,
+  z          INTEGER NOT NULL,
+  note       TEXT,
+  created_by TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (server, dimension, key)
+);
+`
+
+const waypointKey = (name) => name.trim().toLowerCase()
+
+// Turn a row into the shape the tools return
+function toLocation(row) {
+  return {
+    kind: row.kind,
+    name: row.name,
+    position: { x: row.x, y: row.y, z: row.z },
+    ...(row.data && { data: JSON.parse(row.data) }),
+    first_seen: new Date(row.first_seen).toISOString(),
+    last_seen: new Date(row.last_seen).toISOString(),
+    ...(row.distance !== undefined && { distance: Math.floor(Math.sqrt(row.distance)) })
+  }
+}
+
+function toWaypoint(row) {
+  return {
+    name: row.name,
+    dimension: row.dimension,
+    position: { x: row.x, y: row.y, z: row.z },
+    ...(row.note && { note: row.note }),
+    ...(row.created_by && { created_by: row.created_by }),
+    created_at: new Date(row.created_at).toISOString(),
+    updated_at: new Date(row.updated_at).toISOString()
+  }
+}
+
+export class WorldMemory {
+  // better-sqlite3 is a native module: it is only loaded when memory is on,
+  // so a build that fails to load turns memory off instead of the server.
+  // Throws if the module or the database can't be opened.
+  static async open(file) {
+    const { default: Database } = await import('better-sqlite3')
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    return new WorldMemory(new Database(file))
+  }
+
+  constructor(db) {
+    this.db = db
+    this.db.pragma('journal_mode = WAL')
+    this.db.exec(SCHEMA)
+
+    // data is only replaced when the new observation carries some, so a sweep
+    // that sees a chest doesn't wipe the contents recorded by open_container
+    this._upsert = this.db.prepare(`
+      INSERT INTO locations (server, dimension, kind, key, name, x, y, z, data, first_seen, last_seen)
+      VALUES (@server, @dimension, @kind, @key, @name, @x, @y, @z, @data, @now, @now)
+      ON CONFLICT (server, dimension, kind, key) DO UPDATE SET
+        name = excluded.name, x = excluded.x, y = excluded.y, z = excluded.z,
+        data = COALESCE(excluded.data, data), last_seen = excluded.last_seen
+    `)
+    this._remove = this.db.prepare('DELETE FROM locations WHERE server = ? AND dimension = ? AND kind = ? AND key = ?')
+    this._near = this.db.prepare(`
+      SELECT kind, key, name, x, y, z FROM locations
+      WHERE server = ? AND dimension = ? AND kind IN ('block', 'container', 'bed', 'sign')
+        AND x BETWEEN ? AND ? AND z BETWEEN ? AND ?
+    `)
+
+    this._setWaypoint = this.db.prepare(`
+      INSERT INTO waypoints (server, dimension, key, name, x, y, z, note, created_by, created_at, updated_at)
+      VALUES (@server, @dimension, @key, @name, @x, @y, @z, @note, @createdBy, @now, @now)
+      ON CONFLICT (server, dimension, key) DO UPDATE SET
+        name = excluded.name, x = excluded.x, y = excluded.y, z = excluded.z,
+        note = COALESCE(excluded.note, note), updated_at = excluded.updated_at
+    `)
+    this._getWaypoint = this.db.prepare('SELECT * FROM waypoints WHERE server = ? AND dimension = ? AND key = ?')
+    this._deleteWaypoint = this.db.prepare('DELETE FROM waypoints WHERE server = ? AND dimension = ? AND key = ?')
+  }
+
+  /**
+   * Record (or refresh) one observation.
+   *
+   * @param {{ server: string, dimension: string }} scope
+   * @param {object} loc  { kind, key, name, x, y, z, data? }
+   */
+  record(scope, { kind, key, name, x, y, z, data }) {
+    this._upsert.run({
+      ...scope,
+      kind,
+      key,
+      name,
+      x: Math.floor(x),
+      y: Math.floor(y),
+      z: Math.floor(z),
+      data: data === undefined ? null : JSON.stringify(data),
+      now: Date.now()
+    })
+  }
+
+  // Record many observations in one transaction
+  recordAll(scope, locations) {
+    this.db.transaction(() => {
+      for (const loc of locations) this.record(scope, loc)
+    })()
+  }
+
+  // Returns whether anything was removed
+  forget(scope, kind, key) {
+    return this._remove.run(scope.server, scope.dimension, kind, key).changes > 0
+  }
+
+  // Block-based locations within a square around (x, z), for sweeps to
+  // check against the world and forget what is gone
+  blocksNear(scope, { x, z }, radius) {
+    return this._near.all(scope.server, scope.dimension, x - radius, x + radius, z - radius, z + radius)
+  }
+
+  /**
+   * Look up remembered locations.
+   *
+   * @param {{ server: string, dimension: string }} scope
+   * @param {object} [filter]
+   * @param {string} [filter.kind]    one of LOCATION_KINDS
+   * @param {string} [filter.name]    substring of the name (block, profession, POI name)
+   * @param {string} [filter.item]    containers whose last-known contents include this item
+   * @param {object} [filter.near]    { x, y, z }: sort by distance from here
+   * @param {number} [filter.radius]  with near: only this close
+   * @param {number} [filter.limit]
+   */
+  recall(scope, { kind, name, item, near, radius, limit = 20 } = {}) {
+    const where = ['server = @server', 'dimension = @dimension']
+    const params = { ...scope, limit }
+    if (kind) {
+      where.push('kind = @kind')
+      params.kind = kind
+    }
+    if (name) {
+      where.push("name LIKE @name ESCAPE '\\'")
+      params.name = `%${name.replace(/[%_\\]/g, '\\$&')}%`
+    }
+    if (item) {
+      where.push(`EXISTS (SELECT 1 FROM json_each(data, '$.contents') WHERE json_extract(value, '$.name') = @item)`)
+      params.item = item
+    }
+
+    let distance = ''
+    let order = 'last_seen DESC'
+    if (near) {
+      distance = ', (x - @nx) * (x - @nx) + (y - @ny) * (y - @ny) + (z - @nz) * (z - @nz) AS distance'
+      Object.assign(params, { nx: Math.floor(near.x), ny: Math.floor(near.y), nz: Math.floor(near.z) })
+      order = 'distance'
+      if (radius !== undefined) {
+        where.push('(x - @nx) * (x - @nx) + (y - @ny) * (y - @ny) + (z - @nz) * (z - @nz) <= @r2')
+        params.r2 = radius * radius
+      }
+    }
+
+    const rows = this.db.prepare(`
+      SELECT kind, name, x, y, z, data, first_seen, last_seen${distance}
+      FROM locations WHERE ${where.join(' AND ')}
+      ORDER BY ${order} LIMIT @limit
+    `).all(params)
+    return rows.map(toLocation)
+  }
+
+  /**
+   * Create or move a waypoint. Returns the waypoint it replaced, if any.
+   *
+   * @param {{ server: string, dimension: string }} scope
+   * @param {object} waypoint  { name, x, y, z, note?, createdBy? }
+   */
+  setWaypoint(scope, { name, x, y, z, note, createdBy }) {
+    const key = waypointKey(name)
+    return this.db.transaction(() => {
+      const previous = this._getWaypoint.get(scope.server, scope.dimension, key)
+      this._setWaypoint.run({
+        ...scope,
+        key,
+        name: name.trim(),
+        x: Math.floor(x),
+        y: Math.floor(y),
+        z: Math.floor(z),
+        note: note ?? null,
+        createdBy: createdBy ?? null,
+        now: Date.now()
+      })
+      return previous ? toWaypoint(previous) : null
+    })()
+  }
+
+  getWaypoint(scope, name) {
+    const row = this._getWaypoint.get(scope.server, scope.dimension, waypointKey(name))
+    return row ? toWaypoint(row) : null
+  }
+
+  // Returns whether a waypoint was removed
+  deleteWaypoint(scope, name) {
+    return this._deleteWaypoint.run(scope.server, scope.dimension, waypointKey(name)).changes > 0
+  }
+
+  /**
+   * Waypoints on a server, by name.
+   *
+   * @param {string} server
+   * @param {object} [filter]
+   * @param {string} [filter.dimension]  only this dimension (default: all)
+   * @param {string} [filter.name]       exact name, case-insensitive
+   */
+  waypoints(server, { dimension, name } = {}) {
+    const where = ['server = @server']
+    const params = { server }
+    if (dimension) {
+      where.push('dimension = @dimension')
+      params.dimension = dimension
+    }
+    if (name) {
+      where.push('key = @key')
+      params.key = waypointKey(name)
+    }
+    return this.db.prepare(`SELECT * FROM waypoints WHERE ${where.join(' AND ')} ORDER BY dimension, key`)
+      .all(params)
+      .map(toWaypoint)
+  }
+
+  // Counts per kind for a scope, or per server and dimension when scope is omitted
+  summary(scope) {
+    if (scope) {
+      return this.db.prepare('SELECT kind, COUNT(*) AS count FROM locations WHERE server = ? AND dimension = ? GROUP BY kind')
+        .all(scope.server, scope.dimension)
+    }
+    return this.db.prepare('SELECT server, dimension, COUNT(*) AS count FROM locations GROUP BY server, dimension').all()
+  }
+
+  close() {
+    this.db.close()
+  }
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { loadAccessConfig, roleForAuthorization, isToolAllowed } from '../src/utils/access.js'
+
+const access = {
+  roles: {
+    body: { allow: ['*'] },
+    mind: { allow: ['*'], deny: ['attack_entity'] },
+    viewer: { allow: ['get_status', 'get_block_at'] }
+  },
+  tokens: { 'body-token': 'body', 'mind-token': 'mind' }
+}
+
+// Write a config to a temp file and load it
+const load = (config) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-'))
+  const file = path.join(dir, 'access.json')
+  fs.writeFileSync(file, JSON.stringify(config))
+  try {
+    return loadAccessConfig(file)
+  } finally {
+    fs.rmSync(dir, { recursive: true })
+  }
+}
+
+test('no file means no access config', () => {
+  assert.equal(loadAccessConfig(undefined), null)
+  assert.equal(loadAccessConfig(''), null)
+})
+
+test('loads a valid config', () => {
+  assert.deepEqual(load(access), access)
+})
+
+test('rejects malformed configs', () => {
+  assert.throws(() => load({ roles: { a: {} }, tokens: { t: 'a' } }), /role "a" needs an "allow" list/)
+  assert.throws(() => load({ roles: { a: { allow: [], deny: 'x' } }, tokens: { t: 'a' } }), /non-list "deny"/)
+  assert.throws(() => load({ roles: { a: { allow: [] } }, tokens: { t: 'b' } }), /unknown role "b"/)
+  assert.throws(() => load({ roles: { a: { allow: [] } }, tokens: {} }), /no tokens defined/)
+})
+
+test('maps bearer tokens to roles', () => {
+  assert.equal(roleForAuthorization(access, 'Bearer body-token'), 'body')
+  assert.equal(roleForAuthorization(access, 'bearer mind-token'), 'mind')
+  assert.equal(roleForAuthorization(access, 'Bearer wrong-token'), null)
+  assert.equal(roleForAuthorization(access, 'Bearer body-toke'), null)
+  assert.equal(roleForAuthorization(access, 'Basic body-token'), null)
+  assert.equal(roleForAuthorization(access, undefined), null)
+})
+
+test('allow lists, wildcards and deny', () => {
+  assert.ok(isToolAllowed(access, 'body', 'attack_entity'))
+  assert.ok(isToolAllowed(access, 'mind', 'move_to'))
+  assert.equal(isToolAllowed(access, 'mind', 'attack_entity'), false, 'deny wins over *')
+  assert.ok(isToolAllowed(access, 'viewer', 'get_status'))
+  assert.equal(isToolAllowed(access, 'viewer', 'move_to'), false)
+  assert.equal(isToolAllowed(access, 'nobody', 'get_status'), false, 'unknown role')
+})
+
+test('no config or no role is unrestricted', () => {
+  assert.ok(isToolAllowed(null, 'viewer', 'move_to'))
+  assert.ok(isToolAllowed(access, null, 'move_to'))
+})
@@ -0,0 +1,40 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseBlockSpecs, readBlockTags } from '../src/utils/blockMatch.js'
+
+// Just enough minecraft-data for name and tag lookups
+const NAMES = ['oak_log', 'stripped_oak_wood', 'crimson_stem', 'warped_hyphae', 'melon_stem', 'attached_pumpkin_stem',
+  'mushroom_stem', 'chest', 'trapped_chest', 'ender_chest', 'barrel', 'sand', 'red_sand', 'gravel', 'stone']
+const blocks = NAMES.map((name, id) => ({ id, name }))
+const mcData = { blocks, blocksByName: Object.fromEntries(blocks.map(b => [b.name, b])) }
+const id = (name) => mcData.blocksByName[name].id
+
+test('#logs takes log, wood, stem and hyphae blocks, not plant stems', () => {
+  assert.deepEqual(parseBlockSpecs(mcData, ['#logs']).names.sort(),
+    ['crimson_stem', 'oak_log', 'stripped_oak_wood', 'warped_hyphae'])
+})
+
+test('#containers leaves out ender chests', () => {
+  assert.deepEqual(parseBlockSpecs(mcData, ['#containers']).names.sort(), ['barrel', 'chest', 'trapped_chest'])
+})
+
+test('#sand leaves out gravel', () => {
+  assert.deepEqual(parseBlockSpecs(mcData, ['#sand']).names.sort(), ['red_sand', 'sand'])
+})
+
+test('server tags win over the name patterns', () => {
+  const serverTags = new Map([['logs', [id('oak_log')]], ['base_stone_overworld', [id('stone')]]])
+  assert.deepEqual(parseBlockSpecs(mcData, ['#logs'], serverTags).names, ['oak_log'])
+  assert.deepEqual(parseBlockSpecs(mcData, ['#minecraft:base_stone_overworld'], serverTags).names, ['stone'])
+  assert.deepEqual(parseBlockSpecs(mcData, ['#sand'], serverTags).names.sort(), ['red_sand', 'sand'])
+  assert.throws(() => parseBlockSpecs(mcData, ['#nonexistent'], serverTags), /Unknown tag #nonexistent/)
+})
+
+test('reads block tags from both tags packet layouts', () => {
+  const entries = [{ tagName: 'minecraft:logs', entries: [0, 1] }]
+  const modern = readBlockTags({ tags: [{ tagType: 'minecraft:item', tags: [] }, { tagType: 'minecraft:block', tags: entries }] })
+  const legacy = readBlockTags({ blockTags: entries, itemTags: [] })
+  for (const tags of [modern, legacy]) {
+    assert.deepEqual([...tags], [['logs', [0, 1]]])
+  }
+})
@@ -0,0 +1,104 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { PhysicalLock, cappedPriority } from '../src/utils/physicalLock.js'
+
+test('grants a free lock right away and passes it on when released', async () => {
+  const lock = new PhysicalLock()
+  const first = await lock.acquire({ tool: 'move_to' })
+  assert.equal(lock.status().holder.tool, 'move_to')
+
+  const second = lock.acquire({ tool: 'dig' })
+  assert.equal(lock.status().waiting.length, 1)
+  first.release()
+  assert.equal((await second).tool, 'dig')
+  assert.equal(lock.status().holder.tool, 'dig')
+})
+
+test('queues by priority, first come first served within one', async () => {
+  const lock = new PhysicalLock()
+  const holder = await lock.acquire({ tool: 'craft_item', priority: 'survival' })
+  const order = []
+  const waits = [
+    lock.acquire({ tool: 'low', priority: 'low' }),
+    lock.acquire({ tool: 'normal_1' }),
+    lock.acquire({ tool: 'normal_2' })
+  ].map(p => p.then(lease => {
+    order.push(lease.tool)
+    lease.release()
+  }))
+  assert.deepEqual(lock.status().waiting.map(w => w.tool), ['normal_1', 'normal_2', 'low'])
+
+  holder.release()
+  await Promise.all(waits)
+  assert.deepEqual(order, ['normal_1', 'normal_2', 'low'])
+})
+
+test('a higher priority preempts the holder', async () => {
+  const lock = new PhysicalLock()
+  const craft = await lock.acquire({ tool: 'craft_item' })
+  const attack = await lock.acquire({ tool: 'attack_entity', priority: 'survival' })
+
+  assert.ok(craft.signal.aborted)
+  assert.equal(craft.preemptedBy, 'attack_entity')
+  assert.equal(lock.status().holder.tool, 'attack_entity')
+
+  craft.release()  // the preempted lease no longer owns the lock
+  assert.equal(lock.status().holder.tool, 'attack_entity')
+  attack.release()
+  assert.equal(lock.isHeld(), false)
+})
+
+test('the same priority waits instead of preempting', async () => {
+  const lock = new PhysicalLock()
+  const first = await lock.acquire({ tool: 'a', priority: 'survival' })
+  const second = lock.acquire({ tool: 'b', priority: 'survival' })
+  assert.equal(first.signal.aborted, false)
+  first.release()
+  ;(await second).release()
+})
+
+test('timeoutMs 0 fails at once when the lock is held', async () => {
+  const lock = new PhysicalLock()
+  const free = await lock.acquire({ tool: 'a', timeoutMs: 0 })
+  await assert.rejects(lock.acquire({ tool: 'b', timeoutMs: 0 }), /Bot is busy \(a\)/)
+  assert.equal(lock.status().waiting.length, 0)
+  free.release()
+})
+
+test('a waiter times out and leaves the queue', async () => {
+  const lock = new PhysicalLock()
+  const holder = await lock.acquire({ tool: 'a' })
+  await assert.rejects(lock.acquire({ tool: 'b', timeoutMs: 10 }), /Timed out after .* \(busy with a\)/)
+  assert.equal(lock.status().waiting.length, 0)
+  holder.release()
+})
+
+test('an aborted waiter leaves the queue', async () => {
+  const lock = new PhysicalLock()
+  const holder = await lock.acquire({ tool: 'a' })
+  const controller = new AbortController()
+  const waiting = lock.acquire({ tool: 'b', signal: controller.signal })
+  controller.abort()
+  await assert.rejects(waiting, /cancelled while waiting/)
+  assert.equal(lock.status().waiting.length, 0)
+  holder.release()
+})
+
+test('rejects calls past the queue limit', async () => {
+  const lock = new PhysicalLock({ maxWaiters: 1 })
+  const holder = await lock.acquire({ tool: 'a' })
+  const queued = lock.acquire({ tool: 'b' })
+  await assert.rejects(lock.acquire({ tool: 'c' }), /1 calls are already waiting/)
+  holder.release()
+  ;(await queued).release()
+})
+
+test('caps the requested priority at the tool default', () => {
+  assert.equal(cappedPriority(undefined), 'normal')
+  assert.equal(cappedPriority('survival'), 'normal')
+  assert.equal(cappedPriority('low'), 'low')
+  assert.equal(cappedPriority('bogus'), 'normal')
+  assert.equal(cappedPriority(undefined, 'survival'), 'survival')
+  assert.equal(cappedPriority('normal', 'survival'), 'normal')
+  assert.equal(cappedPriority('survival', 'survival'), 'survival')
+})
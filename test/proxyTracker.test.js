@@ -0,0 +1,128 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ProxyTracker } from '../src/utils/proxyTracker.js'
+
+const events = (tracker, name) => {
+  const seen = []
+  tracker.on(name, e => seen.push(e))
+  return seen
+}
+
+test('reads the current backend from /server output', () => {
+  const tracker = new ProxyTracker()
+  const changes = events(tracker, 'change')
+  tracker.handleMessage('You are currently connected to survival.')
+  assert.equal(tracker.current, 'survival')
+  assert.equal(tracker.source, 'server_command')
+  assert.deepEqual(changes, [{ server: 'survival', previous: null, source: 'server_command' }])
+  assert.ok(tracker.servers.includes('survival'))
+})
+
+test('reads the server list, dropping player counts', () => {
+  const tracker = new ProxyTracker()
+  tracker.handleMessage('Available servers: hub (3), survival (12), creative')
+  assert.deepEqual(tracker.servers, ['hub', 'survival', 'creative'])
+
+  tracker.handleMessage('You may connect to the following servers at this time: lobby, game-1')
+  assert.deepEqual(tracker.servers, ['lobby', 'game-1'])
+})
+
+test('"already connected" completes a switch to that server', () => {
+  const tracker = new ProxyTracker()
+  tracker.beginSwitch('survival', 15000)
+  tracker.handleMessage('You are already connected to this server!')
+  assert.equal(tracker.current, 'survival')
+  assert.equal(tracker.switching, null)
+})
+
+test('a failure message fails the switch in flight', () => {
+  const tracker = new ProxyTracker()
+  const failed = events(tracker, 'failed')
+  tracker.handleMessage('Unable to connect you to survival. Please try again later.')
+  assert.equal(failed.length, 0, 'no switch in flight')
+
+  tracker.beginSwitch('survival', 15000)
+  tracker.handleMessage('Unable to connect you to survival. Please try again later.')
+  assert.equal(tracker.switching, null)
+  assert.equal(failed.length, 1)
+  assert.equal(failed[0].server, 'survival')
+})
+
+test('a kick from the current backend starts a transfer', () => {
+  const tracker = new ProxyTracker()
+  tracker.setCurrent('survival', 'server_command')
+  tracker.handleMessage('You were kicked from hub: Server closed')
+  assert.equal(tracker.transferring, false, 'kick from another backend')
+
+  tracker.handleMessage('You were kicked from survival: Server closed')
+  assert.equal(tracker.transferring, true)
+  assert.equal(tracker.source, 'backend_kick')
+  assert.equal(tracker.isSettled(), false)
+})
+
+test('a transfer spawn completes the switch in flight', () => {
+  const tracker = new ProxyTracker()
+  tracker.setCurrent('hub', 'server_command')
+  tracker.beginSwitch('survival', 15000)
+  tracker.handleTransfer()
+  assert.equal(tracker.current, 'survival')
+  assert.equal(tracker.source, 'transfer')
+  assert.ok(tracker.isSettled())
+})
+
+test('the tab header names the backend only when it names exactly one', () => {
+  const tracker = new ProxyTracker()
+  tracker.handleMessage('Available servers: hub, survival')
+  tracker.handleTabHeader('Welcome! hub or survival?')
+  assert.equal(tracker.current, null)
+  tracker.handleTabHeader('You are playing on Survival')
+  assert.equal(tracker.current, 'survival')
+  assert.equal(tracker.source, 'tab_header')
+})
+
+test('an unanswered switch fails at its deadline', () => {
+  const tracker = new ProxyTracker()
+  const failed = events(tracker, 'failed')
+  tracker.beginSwitch('survival', 15000)
+  const { since } = tracker.switching
+
+  tracker.expire(since + 14999)
+  assert.equal(tracker.switching.target, 'survival')
+  assert.equal(failed.length, 0)
+
+  tracker.expire(since + 15000)
+  assert.equal(tracker.switching, null)
+  assert.deepEqual(failed, [{ server: 'survival', reason: 'no transfer after 15s' }])
+
+  tracker.expire(since + 30000)
+  assert.equal(failed.length, 1, 'fails once')
+})
+
+test('an unconfirmed transfer leaves the backend unknown once it expires', () => {
+  const tracker = new ProxyTracker()
+  const unconfirmed = events(tracker, 'unconfirmed')
+  tracker.setCurrent('survival', 'server_command')
+  tracker.handleTransfer()
+  const since = tracker.transferSince
+
+  tracker.expire(since + 19999)
+  assert.equal(tracker.transferring, true)
+  assert.equal(tracker.current, 'survival')
+
+  tracker.expire(since + 20000)
+  assert.equal(tracker.transferring, false)
+  assert.equal(tracker.current, null)
+  assert.equal(tracker.source, 'unconfirmed')
+  assert.deepEqual(unconfirmed, [{ previous: 'survival' }])
+})
+
+test('a confirmed transfer does not expire', () => {
+  const tracker = new ProxyTracker()
+  const unconfirmed = events(tracker, 'unconfirmed')
+  tracker.setCurrent('survival', 'server_command')
+  tracker.handleTransfer()
+  tracker.handleMessage('You are currently connected to hub.')
+  tracker.expire(Date.now() + 60000)
+  assert.equal(tracker.current, 'hub')
+  assert.equal(unconfirmed.length, 0)
+})
@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { classifyDisconnect, planReconnect, nextReconnectAttempt } from '../src/utils/reconnectPolicy.js'
+
+test('classifies kick reasons and socket errors', () => {
+  assert.equal(classifyDisconnect('You are banned from this server. Reason: griefing', true), 'banned')
+  assert.equal(classifyDisconnect('You are not white-listed on this server!', true), 'whitelist')
+  assert.equal(classifyDisconnect('You logged in from another location', true), 'duplicate_login')
+  assert.equal(classifyDisconnect('Connection throttled! Please wait before reconnecting.', true), 'throttled')
+  assert.equal(classifyDisconnect('{"text":"Server is restarting"}', true), 'server_unavailable')
+  assert.equal(classifyDisconnect('read ECONNRESET'), 'connection_lost')
+  assert.equal(classifyDisconnect('Flying is not enabled on this server', true), 'kicked')
+  assert.equal(classifyDisconnect('something unexpected'), 'connection_lost')
+  assert.equal(classifyDisconnect(undefined), 'connection_lost')
+})
+
+test('never retries bans and whitelist kicks', () => {
+  for (const category of ['banned', 'whitelist']) {
+    assert.equal(planReconnect(category, 1).action, 'give_up')
+  }
+})
+
+test('backs off exponentially within ±20% jitter, up to the maximum', () => {
+  const delays = [1, 2, 3, 10].map(attempt => planReconnect('connection_lost', attempt))
+  for (const plan of delays) assert.equal(plan.action, 'retry')
+  const within = (delay, expected) => delay >= expected * 0.8 && delay <= expected * 1.2
+  assert.ok(within(delays[0].delayMs, 1000))
+  assert.ok(within(delays[1].delayMs, 2000))
+  assert.ok(within(delays[2].delayMs, 4000))
+  assert.ok(within(delays[3].delayMs, 30000), 'capped at maxMs')
+})
+
+test('cools down after the last attempt, or gives up without a cool-down', () => {
+  assert.equal(planReconnect('throttled', 8).action, 'retry')
+  const cooldown = planReconnect('throttled', 9)
+  assert.equal(cooldown.action, 'cooldown')
+  assert.equal(cooldown.delayMs, 15 * 60000)
+
+  assert.equal(planReconnect('duplicate_login', 3).action, 'retry')
+  assert.equal(planReconnect('duplicate_login', 4).action, 'give_up')
+})
+
+test('unknown categories get the connection_lost policy', () => {
+  assert.equal(planReconnect('mystery', 21).action, 'cooldown')
+  assert.equal(planReconnect('mystery', 21).delayMs, 2 * 60000)
+})
+
+test('counts attempts per category', () => {
+  assert.equal(nextReconnectAttempt(0, null, 'connection_lost'), 1)
+  assert.equal(nextReconnectAttempt(5, 'connection_lost', 'connection_lost'), 6)
+  // A new kind of drop starts its own backoff from the first attempt
+  assert.equal(nextReconnectAttempt(5, 'connection_lost', 'throttled'), 1)
+  // After a cool-down the count was reset; the category stays
+  assert.equal(nextReconnectAttempt(0, 'throttled', 'throttled'), 1)
+})